@@ -0,0 +1,20 @@
+// Scheduled booking jobs (see utils/jobs.js). They run in the server process
+// every JOBS_INTERVAL_MINUTES, and through GET /api/jobs/run for hosts that
+// cannot keep a process alive, such as Vercel (which sets VERCEL, so the
+// in-process scheduler stays off there). The endpoint needs CRON_SECRET.
+//
+//   REMINDER_HOURS_BEFORE - how long before a session its reminder goes out
+//   PENDING_EXPIRY_HOURS  - pending bookings nobody accepted within this long
+//                           are cancelled; 0 keeps them forever
+
+const hours = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const getJobConfig = () => ({
+  intervalMinutes: process.env.VERCEL ? 0 : hours(process.env.JOBS_INTERVAL_MINUTES, 15),
+  cronSecret: process.env.CRON_SECRET || null,
+  reminderHoursBefore: hours(process.env.REMINDER_HOURS_BEFORE, 24),
+  pendingExpiryHours: hours(process.env.PENDING_EXPIRY_HOURS, 48)
+});
@@ -0,0 +1,55 @@
+// OpenID Connect providers for social login. Enable them with
+// OIDC_PROVIDERS=google,facebook and set OIDC_<NAME>_CLIENT_ID and
+// OIDC_<NAME>_CLIENT_SECRET for each. Any other name works too given an
+// OIDC_<NAME>_ISSUER, which is how a local mock provider is configured.
+const KNOWN_PROVIDERS = {
+  google: {
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile',
+    trustEmail: false
+  },
+  facebook: {
+    issuer: 'https://www.facebook.com',
+    scope: 'openid email public_profile',
+    // Facebook only returns confirmed addresses and omits email_verified
+    trustEmail: true
+  }
+};
+
+export const getProviderConfig = (name) => {
+  const enabled = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!enabled.includes(name)) {
+    return null;
+  }
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const defaults = KNOWN_PROVIDERS[name] || { scope: 'openid email profile', trustEmail: false };
+  const issuer = process.env[`${prefix}ISSUER`] || defaults.issuer;
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+
+  if (!issuer || !clientId) {
+    return null;
+  }
+
+  return {
+    name,
+    issuer,
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    scope: process.env[`${prefix}SCOPE`] || defaults.scope,
+    trustEmail: process.env[`${prefix}TRUST_EMAIL`]
+      ? process.env[`${prefix}TRUST_EMAIL`] === 'true'
+      : defaults.trustEmail
+  };
+};
+
+// Where providers send the user back to. The client app receives code and
+// state there and posts them to /api/auth/oauth/:provider/callback.
+export const allowedRedirectUris = () => (process.env.OIDC_REDIRECT_URIS || '')
+  .split(',')
+  .map(uri => uri.trim())
+  .filter(Boolean);
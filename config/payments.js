@@ -0,0 +1,27 @@
+// Online payments for booking deposits. PAYMENT_PROVIDER picks the provider:
+//   stripe - Stripe, or any API compatible with its payment intents, given
+//            STRIPE_SECRET_KEY (and STRIPE_API_URL if it is not api.stripe.com)
+//   fake   - never leaves the process; payments are completed by posting a
+//            signed event to the webhook, for development and tests
+// Webhooks are verified with PAYMENT_WEBHOOK_SECRET. Without a provider and a
+// secret, bookings that need a deposit cannot be paid for.
+
+// ISO 4217 code, lower case as Stripe expects. Invoices use it too.
+export const paymentCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+export const getPaymentConfig = () => {
+  const provider = (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase();
+  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  if (!provider || !webhookSecret) {
+    return null;
+  }
+
+  return {
+    provider,
+    webhookSecret,
+    currency: paymentCurrency(),
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    apiUrl: (process.env.STRIPE_API_URL || 'https://api.stripe.com').replace(/\/+$/, '')
+  };
+};
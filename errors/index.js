@@ -39,10 +39,19 @@ class UnauthorizedError extends CustomAPIError {
   }
 }
 
+class ConflictError extends CustomAPIError {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.statusCode = StatusCodes.CONFLICT;
+  }
+}
+
 export {
   CustomAPIError,
   BadRequestError,
   NotFoundError,
   UnauthenticatedError,
-  UnauthorizedError
+  UnauthorizedError,
+  ConflictError
 };
@@ -1,4 +1,5 @@
 import express from 'express';
+import 'express-async-errors';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -9,6 +10,7 @@ import path from 'path';
 import { connectDB } from './config/db.js';
 import { errorHandlerMiddleware } from './middleware/error-handler.js';
 import logger from './utils/logger.js';
+import { startScheduler } from './utils/jobs.js';
 
 // Import route files
 import authRoutes from './routes/auth.js';
@@ -19,6 +21,10 @@ import profileRoutes from './routes/profile.js';
 import healthRoutes from './routes/health.js';
 import adminRoutes from './routes/admin.js'; 
 import aboutRouter from './routes/about.js';
+import photographerRoutes from './routes/photographers.js';
+import paymentRoutes from './routes/payments.js';
+import jobRoutes from './routes/jobs.js';
+import calendarRoutes from './routes/calendar.js';
 import { fileURLToPath } from 'url';
 
 // Import Swagger packages and configuration
@@ -34,7 +40,8 @@ const app = express();
 app.set('trust proxy', 1);
 app.use(favicon(path.join(__dirname, 'favicon.ico')));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Payment webhooks are verified against the raw body, so keep a copy of it
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 app.use(cors());
 
 // Security middleware
@@ -69,6 +76,10 @@ app.use('/api/profile', profileRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/about', aboutRouter);
+app.use('/api/photographers', photographerRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 
 // Swagger documentation route
@@ -83,6 +94,7 @@ app.listen(PORT, () => {
         port: PORT,
         timestamp: new Date().toISOString()
     });
+    startScheduler();
 });
 
 // Handle uncaught exceptions
@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
 import { isTokenBlacklisted } from '../utils/tokenBlacklist.js';
-import { UnauthenticatedError } from '../errors/index.js';
+import { findActiveSession } from '../utils/tokens.js';
+import User from '../models/User.js';
+import { UnauthenticatedError, UnauthorizedError } from '../errors/index.js';
 import logger from '../utils/logger.js';
 
 export const auth = async (req, res, next) => {
@@ -12,28 +14,51 @@ export const auth = async (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
-  
-  // Check if token is blacklisted (logged out)
-  if (isTokenBlacklisted(token)) {
-    logger.error(`Authentication failed: Token is blacklisted`, { timestamp: new Date().toISOString() });
-    throw new UnauthenticatedError('Session expired');
-  }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add user info to request
-    req.user = { 
-      userId: decoded.userId, 
-      username: decoded.username, 
-      role: decoded.role || 'client' // Default to client if role is missing
-    };
-    req.token = token;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     logger.error(`Authentication failed: Invalid token`, { timestamp: new Date().toISOString() });
     throw new UnauthenticatedError('Login required');
   }
+
+  // Refresh and invitation tokens carry a type; access tokens never do
+  if (decoded.type || !decoded.userId) {
+    logger.error(`Authentication failed: Invalid token`, { timestamp: new Date().toISOString() });
+    throw new UnauthenticatedError('Login required');
+  }
+
+  // Check if token is blacklisted (logged out)
+  if (await isTokenBlacklisted(token, decoded)) {
+    logger.error(`Authentication failed: Token is blacklisted`, { timestamp: new Date().toISOString() });
+    throw new UnauthenticatedError('Session expired');
+  }
+
+  // Reject tokens whose session was logged out from another device
+  if (decoded.sid && !(await findActiveSession(decoded.sid))) {
+    logger.error(`Authentication failed: Session revoked`, { timestamp: new Date().toISOString() });
+    throw new UnauthenticatedError('Session expired');
+  }
+
+  // Add user info to request
+  req.user = { 
+    userId: decoded.userId, 
+    username: decoded.username, 
+    role: decoded.role || 'client', // Default to client if role is missing
+    sessionId: decoded.sid
+  };
+  req.token = token;
+  next();
+};
+
+// For routes open to guests: requests without a token carry on with no
+// req.user, but a token that is sent must be valid
+export const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return auth(req, res, next);
 };
 
 // Add the adminOnly middleware function
@@ -85,4 +110,22 @@ export const clientOnly = (req, res, next) => {
     throw new UnauthenticatedError(`Not authorized to access this route: ${req.user?.username || 'unknown'}`);
   }
   next();
-};
\ No newline at end of file
+};
+
+// Clients must confirm their email address before using routes behind this
+export const verifiedEmailRequired = async (req, res, next) => {
+  if (req.user?.role !== 'client') {
+    return next();
+  }
+
+  const user = await User.findByPk(req.user.userId, { attributes: ['id', 'emailVerified'] });
+  if (!user || !user.emailVerified) {
+    logger.error(`Access denied: User ${req.user.username} has not verified their email`, {
+      username: req.user.username,
+      event: 'email_not_verified',
+      timestamp: new Date().toISOString()
+    });
+    throw new UnauthorizedError('Please verify your email address first');
+  }
+  next();
+};
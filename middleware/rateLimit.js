@@ -5,27 +5,46 @@ import logger from '../utils/logger.js';
 const WINDOW_MS = 15 * 60 * 1000; 
 const MAX_REQUESTS = 100;
 
+// Guests book without an account and every pending booking holds a
+// photographer until it expires, so each IP may only make a few
+const GUEST_BOOKING_WINDOW_MS = 60 * 60 * 1000;
+const MAX_GUEST_BOOKINGS = 3;
+
+const limitExceeded = (windowMs, event) => (req, res) => {
+    // Log rate limit exceeded
+    logger.error('Rate limit exceeded', {
+        ip: req.ip,
+        endpoint: req.originalUrl,
+        event,
+        remainingTime: Math.ceil(windowMs / 1000 / 60),
+        timestamp: new Date().toISOString()
+    });
+
+    return res.status(429).json({
+        status: 'error',
+        message: `Too many requests. Try again in ${Math.ceil(windowMs / 1000 / 60)} minutes`,
+        retryAfter: windowMs / 1000
+    });
+};
+
 export const limiter = rateLimit({
     windowMs: WINDOW_MS,
     max: MAX_REQUESTS,
-    handler: (req, res) => {
-        // Log rate limit exceeded
-        logger.error('Rate limit exceeded', {
-            ip: req.ip,
-            endpoint: req.originalUrl,
-            event: 'rate_limit_exceeded',
-            remainingTime: Math.ceil(WINDOW_MS / 1000 / 60),
-            timestamp: new Date().toISOString()
-        });
-
-        return res.status(429).json({
-            status: 'error',
-            message: `Too many requests. Try again in ${Math.ceil(WINDOW_MS / 1000 / 60)} minutes`,
-            retryAfter: WINDOW_MS / 1000
-        });
-    },
+    handler: limitExceeded(WINDOW_MS, 'rate_limit_exceeded'),
     standardHeaders: true,
     legacyHeaders: false,
     skipFailedRequests: false,
     skipSuccessfulRequests: false
-});
\ No newline at end of file
+});
+
+// For routes behind optionalAuth: only requests without a logged-in user
+// count, and only when they succeed
+export const guestBookingLimiter = rateLimit({
+    windowMs: GUEST_BOOKING_WINDOW_MS,
+    max: MAX_GUEST_BOOKINGS,
+    skip: req => Boolean(req.user),
+    handler: limitExceeded(GUEST_BOOKING_WINDOW_MS, 'guest_booking_limit_exceeded'),
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipFailedRequests: true
+});
@@ -0,0 +1,235 @@
+import { body, param } from 'express-validator';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import { BOOKING_STATUSES } from '../utils/bookingStateMachine.js';
+import { GUEST_TOKEN } from '../utils/guestBookings.js';
+import { parseDateTime, studioTimezone } from '../utils/time.js';
+import { handleValidationErrors } from './validateInput.js';
+
+// Fields taken from the body when creating a booking. Admins may also send
+// clientId to book on behalf of a client.
+export const BOOKING_CREATE_FIELDS = ['fullName', 'email', 'phoneNumber', 'serviceId', 'location', 'additionalDetails', 'startAt'];
+
+// Fields each role may change on an existing booking; status goes through the
+// state machine
+export const BOOKING_UPDATABLE_FIELDS = {
+    client: ['fullName', 'email', 'phoneNumber', 'location', 'additionalDetails', 'startAt'],
+    photographer: ['additionalDetails'],
+    admin: ['fullName', 'email', 'phoneNumber', 'location', 'additionalDetails', 'startAt', 'serviceId']
+};
+
+const PHONE_NUMBER = /^\+?[0-9 ()-]{7,20}$/;
+
+// Rejects any body field not in the list the request is allowed to send
+const onlyFields = allowed => body('*')
+    .custom((value, { req, path }) => (typeof allowed === 'function' ? allowed(req) : allowed).includes(path))
+    .withMessage((value, { path }) => `${path} cannot be set here`);
+
+const bookingId = param('id')
+    .isInt({ min: 1 })
+    .withMessage('Booking id must be a positive integer');
+
+const photographerId = param('id')
+    .isInt({ min: 1 })
+    .withMessage('Photographer id must be a positive integer');
+
+const guestToken = param('token')
+    .matches(GUEST_TOKEN)
+    .withMessage('token must be the 64-character code from the booking link');
+
+const requestId = param('requestId')
+    .isInt({ min: 1 })
+    .withMessage('Request id must be a positive integer');
+
+// Optional free text, such as a cancellation reason
+const text = (field, max) => body(field)
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage(`${field} must be text`)
+    .bail()
+    .trim()
+    .isLength({ max })
+    .withMessage(`${field} must be at most ${max} characters`);
+
+// An ISO-8601 date-time (read in the studio timezone without an offset) that
+// has not passed yet
+const futureStartAt = field => body(field)
+    .custom((value) => {
+        const startAt = parseDateTime(value, studioTimezone());
+        if (!startAt) {
+            throw new Error(`${field} must be an ISO-8601 date-time, e.g. 2024-06-03T15:00:00Z`);
+        }
+        if (startAt <= new Date()) {
+            throw new Error(`${field} must be in the future`);
+        }
+        return true;
+    });
+
+const activeService = field => body(field)
+    .isInt({ min: 1 })
+    .withMessage(`${field} must be a positive integer`)
+    .bail()
+    .toInt()
+    .custom(async (id) => {
+        const service = await Service.findByPk(id, { attributes: ['id', 'isActive'] });
+        if (!service || !service.isActive) {
+            throw new Error(`No service with id ${id}`);
+        }
+    });
+
+const userWithRole = (field, role) => body(field)
+    .isInt({ min: 1 })
+    .withMessage(`${field} must be a positive integer`)
+    .bail()
+    .toInt()
+    .custom(async (id) => {
+        const user = await User.findByPk(id, { attributes: ['id', 'role'] });
+        if (!user || user.role !== role) {
+            throw new Error(`No ${role} with id ${id}`);
+        }
+    });
+
+// Guests booking without an account must leave a phone number; it is
+// optional for everyone else
+const phoneNumberRule = ({ required }) => {
+    const rule = required
+        ? body('phoneNumber')
+            .if((value, { req }) => !req.user || (value !== undefined && value !== null))
+            .exists({ values: 'null' })
+            .withMessage('phoneNumber is required to book without an account')
+            .bail()
+        : body('phoneNumber').optional({ values: 'null' });
+    return rule
+        .matches(PHONE_NUMBER)
+        .withMessage('phoneNumber must be a phone number, e.g. +44 20 7946 0000');
+};
+
+// Contact details, required when creating a booking and optional when updating
+const contactRules = ({ required }) => {
+    const field = name => (required ? body(name) : body(name).optional());
+    return [
+        field('fullName')
+            .isString()
+            .withMessage('fullName must be text')
+            .bail()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('fullName must be 1 to 100 characters'),
+
+        field('email')
+            .isEmail()
+            .withMessage('Must be a valid email address')
+            .normalizeEmail(),
+
+        phoneNumberRule({ required }),
+
+        field('location')
+            .isString()
+            .withMessage('location must be text')
+            .bail()
+            .trim()
+            .isLength({ min: 1, max: 255 })
+            .withMessage('location must be 1 to 255 characters'),
+
+        text('additionalDetails', 2000)
+    ];
+};
+
+export const validateCreateBooking = [
+    onlyFields(req => (req.user?.role === 'admin' ? [...BOOKING_CREATE_FIELDS, 'clientId'] : BOOKING_CREATE_FIELDS)),
+    ...contactRules({ required: true }),
+    activeService('serviceId'),
+    futureStartAt('startAt'),
+    userWithRole('clientId', 'client').optional(),
+    handleValidationErrors
+];
+
+// PUT /:id and PATCH /my-bookings/:id. Fields the caller's role may not change
+// are refused rather than ignored.
+export const validateUpdateBooking = [
+    bookingId,
+    onlyFields(req => [...(BOOKING_UPDATABLE_FIELDS[req.user.role] || []), 'status', 'note']),
+    ...contactRules({ required: false }),
+    activeService('serviceId').optional(),
+    futureStartAt('startAt').optional(),
+    body('status')
+        .optional()
+        .isIn(BOOKING_STATUSES)
+        .withMessage(`status must be one of: ${BOOKING_STATUSES.join(', ')}`),
+    text('note', 500),
+    handleValidationErrors
+];
+
+export const validateBookingStatus = [
+    bookingId,
+    onlyFields(['status', 'note']),
+    body('status')
+        .isIn(BOOKING_STATUSES)
+        .withMessage(`status must be one of: ${BOOKING_STATUSES.join(', ')}`),
+    text('note', 500),
+    handleValidationErrors
+];
+
+export const validateAssignPhotographer = [
+    bookingId,
+    onlyFields(['photographerId']),
+    userWithRole('photographerId', 'photographer'),
+    handleValidationErrors
+];
+
+export const validateAcceptBooking = [
+    bookingId,
+    onlyFields(['additionalDetails']),
+    text('additionalDetails', 2000),
+    handleValidationErrors
+];
+
+export const validateCancelBooking = [
+    bookingId,
+    onlyFields(req => (req.user?.role === 'admin' ? ['reason', 'waiveFee'] : ['reason'])),
+    text('reason', 500),
+    body('waiveFee')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('waiveFee must be true or false'),
+    handleValidationErrors
+];
+
+export const validateGuestCancel = [
+    guestToken,
+    onlyFields(['reason']),
+    text('reason', 500),
+    handleValidationErrors
+];
+
+export const validateWaiveFee = [
+    bookingId,
+    onlyFields(['note']),
+    text('note', 500),
+    handleValidationErrors
+];
+
+export const validateRescheduleRequest = [
+    bookingId,
+    onlyFields(['startAt', 'reason']),
+    futureStartAt('startAt'),
+    text('reason', 500),
+    handleValidationErrors
+];
+
+export const validateRescheduleResponse = [
+    bookingId,
+    requestId,
+    onlyFields(['note']),
+    text('note', 500),
+    handleValidationErrors
+];
+
+// Routes that only take a booking id (and maybe a request id)
+export const validateBookingId = [bookingId, handleValidationErrors];
+
+export const validateRescheduleRequestId = [bookingId, requestId, handleValidationErrors];
+
+export const validatePhotographerId = [photographerId, handleValidationErrors];
+
+export const validateGuestToken = [guestToken, handleValidationErrors];
@@ -0,0 +1,25 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Email verification columns on users, and the new one-time token purpose
+export const up = async ({ queryInterface, DataTypes }) => {
+  const addedEmailVerified = await addColumnIfMissing(queryInterface, 'users', 'emailVerified', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+  await addColumnIfMissing(queryInterface, 'users', 'emailVerifiedAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  // Accounts that existed before verification was introduced are trusted as-is
+  // so current clients are not locked out of booking
+  if (addedEmailVerified) {
+    await queryInterface.bulkUpdate('users', { emailVerified: true }, {});
+  }
+
+  await queryInterface.changeColumn('one_time_tokens', 'purpose', {
+    type: DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false
+  });
+};
@@ -0,0 +1,19 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Two-factor authentication columns on users. Recovery codes and settings are
+// new tables, created by sync().
+export const up = async ({ queryInterface, DataTypes }) => {
+  await addColumnIfMissing(queryInterface, 'users', 'twoFactorEnabled', {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  });
+  await addColumnIfMissing(queryInterface, 'users', 'twoFactorSecret', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'users', 'twoFactorLastStep', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+};
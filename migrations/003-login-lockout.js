@@ -0,0 +1,8 @@
+// Login lockouts are written to the activity log with no admin. The throttle
+// counters are a new table, created by sync().
+export const up = async ({ queryInterface, DataTypes }) => {
+  await queryInterface.changeColumn('ActivityLogs', 'adminId', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+};
@@ -0,0 +1,27 @@
+import { addColumnIfMissing, addIndexIfMissing } from './helpers.js';
+
+// Case-insensitive unique usernames. Fails without changing anything further if
+// existing usernames collide once lower-cased; rename one of each pair and rerun.
+export const up = async ({ queryInterface, sequelize, DataTypes }) => {
+  await addColumnIfMissing(queryInterface, 'users', 'usernameNormalized', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+
+  await sequelize.query('UPDATE users SET usernameNormalized = LOWER(TRIM(username))');
+  await sequelize.query('UPDATE users SET email = LOWER(TRIM(email))');
+
+  const [duplicates] = await sequelize.query(
+    'SELECT usernameNormalized, COUNT(*) AS count FROM users GROUP BY usernameNormalized HAVING COUNT(*) > 1'
+  );
+  if (duplicates.length) {
+    const names = duplicates.map(row => row.usernameNormalized).join(', ');
+    throw new Error(`Usernames differ only by case and must be renamed first: ${names}`);
+  }
+
+  await queryInterface.changeColumn('users', 'usernameNormalized', {
+    type: DataTypes.STRING,
+    allowNull: false
+  });
+  await addIndexIfMissing(queryInterface, 'users', ['usernameNormalized'], { unique: true });
+};
@@ -0,0 +1,148 @@
+import { addColumnIfMissing, addIndexIfMissing } from './helpers.js';
+import { studioTimezone, zonedTimeToUtc } from '../utils/time.js';
+import logger from '../utils/logger.js';
+
+// Replaces the prose Service.duration with durationMinutes, and the
+// Booking.date/time pair with startAt, endAt and timezone. Existing rows are
+// parsed; times are read as wall-clock times in STUDIO_TIMEZONE.
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// "1 hour", "2-3 hours", "90 minutes". Ranges count at their upper end.
+const parseLegacyDuration = (text) => {
+  const value = String(text || '').toLowerCase();
+  let total = 0;
+
+  const hours = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(?:h|hr|hrs|hour|hours)\b/.exec(value);
+  if (hours) {
+    total += parseFloat(hours[2] || hours[1]) * 60;
+  }
+  const minutes = /(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(?:m|min|mins|minute|minutes)\b/.exec(value);
+  if (minutes) {
+    total += parseInt(minutes[2] || minutes[1], 10);
+  }
+
+  return total > 0 ? Math.round(total) : DEFAULT_DURATION_MINUTES;
+};
+
+// "15:30", "9.00", "3:30 PM", "3pm" -> minutes after midnight, or null
+const parseLegacyTime = (text) => {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/i.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+
+  if (minutes > 59) {
+    return null;
+  }
+  if (meridiem) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (!match[2] || hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+// DATEONLY comes back as 'YYYY-MM-DD' or as a Date at UTC midnight
+const dateParts = (value) => {
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+  const [year, month, day] = text.split('-').map(Number);
+  return { year, month, day };
+};
+
+const migrateServices = async ({ queryInterface, sequelize, DataTypes }) => {
+  const columns = await queryInterface.describeTable('Services');
+  if (!columns.duration) {
+    return;
+  }
+
+  await addColumnIfMissing(queryInterface, 'Services', 'durationMinutes', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+
+  const [services] = await sequelize.query('SELECT id, duration FROM Services');
+  for (const service of services) {
+    await queryInterface.bulkUpdate(
+      'Services',
+      { durationMinutes: parseLegacyDuration(service.duration) },
+      { id: service.id }
+    );
+  }
+
+  await queryInterface.changeColumn('Services', 'durationMinutes', {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: DEFAULT_DURATION_MINUTES
+  });
+  await queryInterface.removeColumn('Services', 'duration');
+};
+
+const migrateBookings = async ({ queryInterface, sequelize, DataTypes }) => {
+  const columns = await queryInterface.describeTable('Bookings');
+  if (!columns.time) {
+    return;
+  }
+
+  const timezone = studioTimezone();
+  await addColumnIfMissing(queryInterface, 'Bookings', 'startAt', { type: DataTypes.DATE, allowNull: true });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'endAt', { type: DataTypes.DATE, allowNull: true });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'timezone', { type: DataTypes.STRING(64), allowNull: true });
+
+  const [bookings] = await sequelize.query(
+    `SELECT b.id, b.date, b.time, b.additionalDetails, s.durationMinutes
+     FROM Bookings b LEFT JOIN Services s ON s.id = b.serviceId`
+  );
+
+  let unreadable = 0;
+  for (const booking of bookings) {
+    const minutes = parseLegacyTime(booking.time);
+    const startAt = zonedTimeToUtc({ ...dateParts(booking.date), minute: minutes ?? 0 }, timezone);
+    const durationMinutes = booking.durationMinutes || DEFAULT_DURATION_MINUTES;
+    const values = {
+      startAt,
+      endAt: new Date(startAt.getTime() + durationMinutes * 60 * 1000),
+      timezone
+    };
+
+    // Keep what the client asked for when it was not a time we can read;
+    // the booking starts at midnight until someone fixes it
+    if (minutes === null) {
+      unreadable += 1;
+      const note = `Requested time: ${booking.time}`;
+      values.additionalDetails = booking.additionalDetails ? `${booking.additionalDetails}\n\n${note}` : note;
+    }
+
+    await queryInterface.bulkUpdate('Bookings', values, { id: booking.id });
+  }
+
+  if (unreadable > 0) {
+    logger.info(`${unreadable} booking(s) had an unreadable time and were set to midnight`, {
+      event: 'migration_unreadable_booking_times'
+    });
+  }
+
+  await queryInterface.changeColumn('Bookings', 'startAt', { type: DataTypes.DATE, allowNull: false });
+  await queryInterface.changeColumn('Bookings', 'endAt', { type: DataTypes.DATE, allowNull: false });
+  await queryInterface.changeColumn('Bookings', 'timezone', { type: DataTypes.STRING(64), allowNull: false });
+  await queryInterface.removeColumn('Bookings', 'date');
+  await queryInterface.removeColumn('Bookings', 'time');
+};
+
+export const up = async (context) => {
+  // Services first: booking end times need their durations in minutes
+  await migrateServices(context);
+  await migrateBookings(context);
+
+  // Availability checks look up a photographer's bookings by time. Added here
+  // rather than on the model because sync() would try it before startAt exists.
+  await addIndexIfMissing(context.queryInterface, 'Bookings', ['photographerId', 'startAt']);
+};
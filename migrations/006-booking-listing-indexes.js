@@ -0,0 +1,8 @@
+import { addIndexIfMissing } from './helpers.js';
+
+// Booking listings filter by status or client and page through them by start
+// time; photographer listings use the (photographerId, startAt) index from 005
+export const up = async ({ queryInterface }) => {
+  await addIndexIfMissing(queryInterface, 'Bookings', ['status', 'startAt']);
+  await addIndexIfMissing(queryInterface, 'Bookings', ['clientId', 'startAt']);
+};
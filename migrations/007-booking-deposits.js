@@ -0,0 +1,15 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Deposits: a percentage of the price per service, and when each booking's
+// deposit was paid. The payments table itself is created by sync().
+export const up = async ({ queryInterface, DataTypes }) => {
+  await addColumnIfMissing(queryInterface, 'Services', 'depositPercent', {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'depositPaidAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+};
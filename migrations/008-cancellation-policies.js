@@ -0,0 +1,35 @@
+import { addColumnIfMissing } from './helpers.js';
+
+// Per-service cancellation policies, the fees charged on bookings, and the
+// no_show booking status
+export const up = async ({ queryInterface, DataTypes }) => {
+  for (const column of ['freeCancellationHours', 'lateCancellationFeePercent', 'noShowFeePercent']) {
+    await addColumnIfMissing(queryInterface, 'Services', column, {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  }
+
+  await addColumnIfMissing(queryInterface, 'Bookings', 'cancellationFee', {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'cancellationFeeReason', {
+    type: DataTypes.ENUM('late_cancellation', 'no_show'),
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'cancellationFeeWaivedAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'cancellationFeeWaivedBy', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+
+  await queryInterface.changeColumn('Bookings', 'status', {
+    type: DataTypes.ENUM('pending', 'confirmed', 'completed', 'cancelled', 'no_show'),
+    defaultValue: 'pending'
+  });
+};
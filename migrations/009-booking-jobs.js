@@ -0,0 +1,16 @@
+import { addColumnIfMissing, addIndexIfMissing } from './helpers.js';
+
+// Columns the scheduled jobs use to remember what they have done with a booking
+export const up = async ({ queryInterface, DataTypes }) => {
+  await addColumnIfMissing(queryInterface, 'Bookings', 'reminderSentAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'Bookings', 'completionFlaggedAt', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  // Expiring pending bookings looks them up by age
+  await addIndexIfMissing(queryInterface, 'Bookings', ['status', 'createdAt']);
+};
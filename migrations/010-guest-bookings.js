@@ -0,0 +1,18 @@
+import { addColumnIfMissing, addIndexIfMissing } from './helpers.js';
+
+// Guest bookings: no client account, and a magic-link token instead
+export const up = async ({ queryInterface, DataTypes }) => {
+  await queryInterface.changeColumn('Bookings', 'clientId', {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  });
+
+  await addColumnIfMissing(queryInterface, 'Bookings', 'guestAccessTokenHash', {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  });
+  await addIndexIfMissing(queryInterface, 'Bookings', ['guestAccessTokenHash'], { unique: true });
+
+  // Linking a guest's bookings when they register looks them up by email
+  await addIndexIfMissing(queryInterface, 'Bookings', ['email']);
+};
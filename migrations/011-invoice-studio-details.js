@@ -0,0 +1,27 @@
+import { addColumnIfMissing } from './helpers.js';
+import { getInvoiceSettings } from '../utils/invoices.js';
+
+// The studio name and address are copied onto each invoice when it is issued.
+// Invoices issued before this get the current invoicing settings, the closest
+// record there is of what they showed.
+export const up = async ({ queryInterface, sequelize, DataTypes }) => {
+  await addColumnIfMissing(queryInterface, 'invoices', 'studioName', {
+    type: DataTypes.STRING,
+    allowNull: true
+  });
+  await addColumnIfMissing(queryInterface, 'invoices', 'studioAddress', {
+    type: DataTypes.TEXT,
+    allowNull: true
+  });
+
+  const { studioName, studioAddress } = await getInvoiceSettings();
+  await sequelize.query(
+    'UPDATE invoices SET studioName = :studioName, studioAddress = :studioAddress WHERE studioName IS NULL',
+    { replacements: { studioName, studioAddress: studioAddress || null } }
+  );
+
+  await queryInterface.changeColumn('invoices', 'studioName', {
+    type: DataTypes.STRING,
+    allowNull: false
+  });
+};
@@ -0,0 +1,21 @@
+// Shared by migrations. Existing databases predate columns that a fresh
+// sync() already creates, so additive changes have to be idempotent.
+export const addColumnIfMissing = async (queryInterface, table, column, definition) => {
+  const columns = await queryInterface.describeTable(table);
+  if (!columns[column]) {
+    await queryInterface.addColumn(table, column, definition);
+    return true;
+  }
+  return false;
+};
+
+// Skips the index if one already covers exactly these fields, whatever its name
+export const addIndexIfMissing = async (queryInterface, table, fields, options = {}) => {
+  const indexes = await queryInterface.showIndex(table);
+  const exists = indexes.some(index =>
+    index.fields.length === fields.length
+    && index.fields.every((field, i) => field.attribute === fields[i]));
+  if (!exists) {
+    await queryInterface.addIndex(table, fields, options);
+  }
+};
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import logger from '../utils/logger.js';
+
+// Brings the database up to date: creates tables for any model that does not
+// have one yet, then runs each migration in this directory once, in filename
+// order. Applied migrations are recorded in the schema_migrations table.
+//
+//   npm run migrate
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const modelsDir = path.join(__dirname, '..', 'models');
+
+const SchemaMigration = sequelize.define('SchemaMigration', {
+  name: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  }
+}, {
+  tableName: 'schema_migrations',
+  updatedAt: false
+});
+
+const importAll = async (dir, filter) => {
+  const files = fs.readdirSync(dir).filter(filter).sort();
+  const modules = [];
+  for (const file of files) {
+    modules.push({ name: file, module: await import(pathToFileURL(path.join(dir, file)).href) });
+  }
+  return modules;
+};
+
+const run = async () => {
+  await sequelize.authenticate();
+
+  // Registers every model so sync() knows about it
+  await importAll(modelsDir, file => file.endsWith('.js'));
+  await sequelize.sync();
+
+  const applied = new Set((await SchemaMigration.findAll()).map(migration => migration.name));
+  const migrations = await importAll(__dirname, file => /^\d+-.*\.js$/.test(file));
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const { name, module } of migrations) {
+    if (applied.has(name)) {
+      continue;
+    }
+
+    logger.info(`Running migration ${name}`, { event: 'migration_start' });
+    await module.up({ queryInterface, sequelize, DataTypes });
+    await SchemaMigration.create({ name });
+    logger.info(`Migration ${name} applied`, { event: 'migration_applied' });
+  }
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    logger.error('Migration failed', { error: error.message, stack: error.stack, event: 'migration_failed' });
+    await sequelize.close();
+    process.exit(1);
+  });
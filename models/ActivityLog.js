@@ -5,7 +5,7 @@ import User from './User.js';
 const ActivityLog = sequelize.define('ActivityLog', {
   adminId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true, // null for events the system records itself, e.g. lockouts
     references: {
       model: User,
       key: 'id'
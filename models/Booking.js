@@ -20,13 +20,19 @@ const Booking = sequelize.define('Booking', {
     type: DataTypes.INTEGER,
     allowNull: false
   },
-  date: {
-    type: DataTypes.DATEONLY,
+  startAt: {
+    type: DataTypes.DATE,
     allowNull: false
   },
-  time: {
-    type: DataTypes.STRING,
-    allowNull: false
+  endAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'startAt plus the service duration'
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'IANA timezone of the studio when the booking was made'
   },
   location: {
     type: DataTypes.STRING,
@@ -37,12 +43,50 @@ const Booking = sequelize.define('Booking', {
     allowNull: true
   },
   status: {
-    type: DataTypes.ENUM('pending', 'confirmed', 'completed', 'cancelled'),
+    type: DataTypes.ENUM('pending', 'confirmed', 'completed', 'cancelled', 'no_show'),
     defaultValue: 'pending'
   },
+  depositPaidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'set by the payment webhook once the deposit has been paid'
+  },
+  // Set by utils/cancellationPolicy.js when a cancellation or no-show is charged
+  cancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  cancellationFeeReason: {
+    type: DataTypes.ENUM('late_cancellation', 'no_show'),
+    allowNull: true
+  },
+  cancellationFeeWaivedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancellationFeeWaivedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Set by the scheduled jobs in utils/jobs.js
+  reminderSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completionFlaggedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'the session has ended but the booking is still confirmed'
+  },
   clientId: {  // Changed from client to clientId
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: true,
+    comment: 'null for guest bookings until the guest registers with the same email'
+  },
+  guestAccessTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the magic-link token a guest uses to view or cancel the booking'
   },
   photographerId: {  // Changed from assignedPhotographer to photographerId
     type: DataTypes.INTEGER,
@@ -55,4 +99,10 @@ Booking.belongsTo(Service, { foreignKey: 'serviceId', as: 'service' });
 Booking.belongsTo(User, { foreignKey: 'clientId', as: 'client' });
 Booking.belongsTo(User, { foreignKey: 'photographerId', as: 'photographer' });
 
+// The guest token hash never leaves the server
+Booking.prototype.toJSON = function toJSON() {
+  const { guestAccessTokenHash, ...values } = this.get();
+  return values;
+};
+
 export default Booking;
\ No newline at end of file
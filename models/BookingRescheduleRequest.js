@@ -0,0 +1,59 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Booking from './Booking.js';
+import User from './User.js';
+
+// A client's request to move a booking, answered by its photographer or an admin
+const BookingRescheduleRequest = sequelize.define('BookingRescheduleRequest', {
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Booking,
+      key: 'id'
+    }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  startAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'proposed new start'
+  },
+  endAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'withdrawn'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  respondedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  responseNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'booking_reschedule_requests',
+  indexes: [{ fields: ['bookingId', 'status'] }]
+});
+
+Booking.hasMany(BookingRescheduleRequest, { foreignKey: 'bookingId', as: 'rescheduleRequests' });
+BookingRescheduleRequest.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester' });
+BookingRescheduleRequest.belongsTo(User, { foreignKey: 'respondedBy', as: 'responder' });
+
+export default BookingRescheduleRequest;
@@ -0,0 +1,47 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Booking from './Booking.js';
+import User from './User.js';
+
+// One row per booking status change, written by utils/bookingStateMachine.js
+const BookingStatusHistory = sequelize.define('BookingStatusHistory', {
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Booking,
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'null for the creation of the booking'
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'null when the system made the change'
+  },
+  changedByRole: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'booking_status_history',
+  updatedAt: false,
+  indexes: [{ fields: ['bookingId'] }]
+});
+
+Booking.hasMany(BookingStatusHistory, { foreignKey: 'bookingId', as: 'history' });
+BookingStatusHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'user' });
+
+export default BookingStatusHistory;
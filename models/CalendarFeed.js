@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// A user's secret iCalendar feed URL. Only the SHA-256 of the token is stored;
+// rotating replaces it, so the old URL stops working.
+const CalendarFeed = sequelize.define('CalendarFeed', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  lastAccessedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'calendar_feeds'
+});
+
+CalendarFeed.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default CalendarFeed;
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// Created by an admin so a photographer or admin can register with that role.
+// Redeemed once with the signed token returned when it was created.
+const Invitation = sequelize.define('Invitation', {
+  role: {
+    type: DataTypes.ENUM('admin', 'photographer'),
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'If set, only this address can redeem the invitation'
+  },
+  invitedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acceptedUserId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'invitations'
+});
+
+Invitation.belongsTo(User, { foreignKey: 'invitedBy', as: 'inviter' });
+Invitation.belongsTo(User, { foreignKey: 'acceptedUserId', as: 'acceptedUser' });
+
+export default Invitation;
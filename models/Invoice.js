@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Booking from './Booking.js';
+
+// Issued once per booking when it is completed (see utils/invoices.js). The
+// studio and client details, tax settings and amounts are copied in at issue
+// time so the invoice never changes afterwards.
+const Invoice = sequelize.define('Invoice', {
+  number: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    comment: 'gapless running number the invoice number is made from'
+  },
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: Booking,
+      key: 'id'
+    }
+  },
+  clientId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  studioName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  studioAddress: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  billToName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  billToEmail: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  taxLabel: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  taxRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    comment: 'percent'
+  },
+  pricesIncludeTax: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'before tax'
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  total: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  amountPaid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'paid online before the invoice was issued, e.g. the deposit'
+  },
+  balanceDue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'invoices',
+  indexes: [{ fields: ['issuedAt'] }]
+});
+
+Booking.hasOne(Invoice, { foreignKey: 'bookingId', as: 'invoice' });
+Invoice.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+export default Invoice;
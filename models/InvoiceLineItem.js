@@ -0,0 +1,44 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Invoice from './Invoice.js';
+
+const InvoiceLineItem = sequelize.define('InvoiceLineItem', {
+  invoiceId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Invoice,
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  unitPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'as entered: including tax when the invoice says pricesIncludeTax'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'invoice_line_items',
+  updatedAt: false,
+  indexes: [{ fields: ['invoiceId'] }]
+});
+
+Invoice.hasMany(InvoiceLineItem, { foreignKey: 'invoiceId', as: 'lineItems' });
+
+export default InvoiceLineItem;
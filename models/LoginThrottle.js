@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+// Failed login counters, one row per account and one per client IP
+const LoginThrottle = sequelize.define('LoginThrottle', {
+  scope: {
+    type: DataTypes.ENUM('account', 'ip'),
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_throttles',
+  indexes: [{ unique: true, fields: ['scope', 'key'] }]
+});
+
+export default LoginThrottle;
@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// How a user wants to hear about their bookings. Users without a row get the
+// defaults: email only, every event.
+const NotificationPreference = sequelize.define('NotificationPreference', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  channels: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: ['email'],
+    comment: 'names of the channels to deliver on, see utils/notifications.js'
+  },
+  disabledEvents: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'events the user does not want to be told about'
+  },
+  phoneNumber: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'for SMS; clients fall back to the phone number on the booking'
+  }
+}, {
+  tableName: 'notification_preferences'
+});
+
+User.hasOne(NotificationPreference, { foreignKey: 'userId', as: 'notificationPreference' });
+
+export default NotificationPreference;
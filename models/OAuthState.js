@@ -0,0 +1,36 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+// Pending social login: what is needed to finish the authorization code flow
+// when the provider sends the user back. Deleted when used.
+const OAuthState = sequelize.define('OAuthState', {
+  state: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  codeVerifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  redirectUri: {
+    type: DataTypes.STRING(512),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'oauth_states',
+  updatedAt: false
+});
+
+export default OAuthState;
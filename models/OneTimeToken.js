@@ -0,0 +1,39 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// Single-use tokens sent to users out of band (password reset and email verification links).
+// Only the SHA-256 of the token is stored.
+const OneTimeToken = sequelize.define('OneTimeToken', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification'),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'one_time_tokens'
+});
+
+OneTimeToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default OneTimeToken;
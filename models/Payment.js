@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import Booking from './Booking.js';
+
+// A payment taken through the payment provider (see utils/payments.js).
+// providerPaymentId is the provider's payment intent id.
+const Payment = sequelize.define('Payment', {
+  bookingId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Booking,
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'deposit'
+  },
+  provider: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  providerPaymentId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  clientSecret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'handed to the client app to complete the payment'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payments',
+  indexes: [{ fields: ['bookingId'] }]
+});
+
+Booking.hasMany(Payment, { foreignKey: 'bookingId', as: 'payments' });
+Payment.belongsTo(Booking, { foreignKey: 'bookingId', as: 'booking' });
+
+export default Payment;
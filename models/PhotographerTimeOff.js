@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// Periods a photographer cannot be booked. A blackout covers whole days;
+// time off is any start/end range, e.g. an afternoon appointment.
+const PhotographerTimeOff = sequelize.define('PhotographerTimeOff', {
+  photographerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  kind: {
+    type: DataTypes.ENUM('blackout', 'time_off'),
+    allowNull: false,
+    defaultValue: 'time_off'
+  },
+  startsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endsAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'photographer_time_off',
+  indexes: [{ fields: ['photographerId', 'startsAt'] }]
+});
+
+User.hasMany(PhotographerTimeOff, { foreignKey: 'photographerId', as: 'timeOff' });
+
+export default PhotographerTimeOff;
@@ -0,0 +1,39 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// A photographer's regular weekly hours, one row per window. A day can have
+// several windows (e.g. a lunch break); days without rows are days off.
+const PhotographerWorkingHours = sequelize.define('PhotographerWorkingHours', {
+  photographerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  dayOfWeek: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 0, max: 6 },
+    comment: '0 = Sunday ... 6 = Saturday'
+  },
+  startTime: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:MM, 24-hour'
+  },
+  endTime: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:MM, 24-hour'
+  }
+}, {
+  tableName: 'photographer_working_hours',
+  indexes: [{ fields: ['photographerId', 'dayOfWeek'] }]
+});
+
+User.hasMany(PhotographerWorkingHours, { foreignKey: 'photographerId', as: 'workingHours' });
+
+export default PhotographerWorkingHours;
@@ -0,0 +1,39 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// Links an account at an external identity provider (Google, Facebook, ...) to a user
+const ProviderIdentity = sequelize.define('ProviderIdentity', {
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'The provider\'s stable user id (the id_token sub claim)'
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'provider_identities',
+  indexes: [{ unique: true, fields: ['provider', 'subject'] }]
+});
+
+ProviderIdentity.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default ProviderIdentity;
@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// Single-use two-factor recovery codes; only the SHA-256 is stored
+const RecoveryCode = sequelize.define('RecoveryCode', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'recovery_codes',
+  indexes: [{ fields: ['userId'] }]
+});
+
+export default RecoveryCode;
@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+const RevokedToken = sequelize.define('RevokedToken', {
+  jti: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'When the token would have expired anyway; the row can be purged after this'
+  }
+}, {
+  tableName: 'revoked_tokens',
+  updatedAt: false,
+  indexes: [{ fields: ['expiresAt'] }]
+});
+
+export default RevokedToken;
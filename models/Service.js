@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import { sequelize } from '../config/db.js';
+import { toIsoDuration } from '../utils/time.js';
 
 const Service = sequelize.define('Service', {
   name: {
@@ -24,10 +25,95 @@ const Service = sequelize.define('Service', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'Duration must be at least one minute'
+      },
+      max: {
+        args: [24 * 60],
+        msg: 'Duration cannot be more than a day'
+      }
+    }
+  },
+  // Share of the price paid up front; bookings with a deposit stay pending until it is paid
+  depositPercent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Deposit cannot be negative'
+      },
+      max: {
+        args: [100],
+        msg: 'Deposit cannot be more than the price'
+      }
+    }
+  },
+  // Cancellation policy, see utils/cancellationPolicy.js. 0 hours means free
+  // cancellation right up to the start.
+  freeCancellationHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Free cancellation window cannot be negative'
+      }
+    }
+  },
+  lateCancellationFeePercent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Late cancellation fee cannot be negative'
+      },
+      max: {
+        args: [100],
+        msg: 'Late cancellation fee cannot be more than the price'
+      }
+    }
+  },
+  noShowFeePercent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'No-show fee cannot be negative'
+      },
+      max: {
+        args: [100],
+        msg: 'No-show fee cannot be more than the price'
+      }
+    }
+  },
+  // What the deposit comes to, in the price's currency
+  depositAmount: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      const price = Number(this.getDataValue('price')) || 0;
+      return Math.round(price * (this.getDataValue('depositPercent') || 0)) / 100;
+    }
+  },
+  // The same length as an ISO-8601 duration, e.g. "PT1H30M"
   duration: {
-    type: DataTypes.STRING,
-    allowNull: true,
-    comment: 'Approximate duration of the service (e.g., "1 hour", "2-3 hours")'
+    type: DataTypes.VIRTUAL,
+    get() {
+      const minutes = this.getDataValue('durationMinutes');
+      return minutes ? toIsoDuration(minutes) : null;
+    }
   },
   imageUrl: {
     type: DataTypes.STRING,
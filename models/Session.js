@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import User from './User.js';
+
+// One row per login. The refresh token rotates on every use, so a session is
+// the whole token family: revoking it kills every token that came from it.
+const Session = sequelize.define('Session', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the jti of the only refresh token currently valid for this session'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions'
+});
+
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+export default Session;
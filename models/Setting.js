@@ -0,0 +1,18 @@
+import { DataTypes } from 'sequelize';
+import { sequelize } from '../config/db.js';
+
+// Studio-wide settings changed at runtime by admins, stored as JSON per key
+const Setting = sequelize.define('Setting', {
+  key: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'settings'
+});
+
+export default Setting;
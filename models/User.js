@@ -6,6 +6,12 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    usernameNormalized: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Lower-cased username, kept in sync by a hook so usernames are unique regardless of case'
+    },
     email: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -20,6 +26,30 @@ const User = sequelize.define('User', {
         allowNull: false,
         defaultValue: 'client'
     },
+    emailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    twoFactorSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'AES-256-GCM encrypted TOTP secret; set during enrollment before it is enabled'
+    },
+    twoFactorLastStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Time step of the last accepted TOTP code, so codes cannot be replayed'
+    },
     profilePicture: {
         type: DataTypes.STRING,
         allowNull: true,
@@ -29,7 +59,17 @@ const User = sequelize.define('User', {
     timestamps: true,
     createdAt: 'created_at',
     updatedAt: false,
-    tableName: 'users'
+    tableName: 'users',
+    hooks: {
+        beforeValidate: (user) => {
+            if (user.username) {
+                user.usernameNormalized = user.username.trim().toLowerCase();
+            }
+            if (user.email) {
+                user.email = user.email.trim().toLowerCase();
+            }
+        }
+    }
 });
     
 export default User;
\ No newline at end of file
@@ -1,9 +1,28 @@
 import express from 'express';
+import { Op } from 'sequelize';
 import { auth, adminOnly } from '../middleware/auth.js';
 import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import ActivityLog from '../models/ActivityLog.js';
+import Invoice from '../models/Invoice.js';
+import { sequelize } from '../config/db.js';
+import { validateInvitation } from '../middleware/validateInput.js';
+import { signInvitationToken } from '../utils/invitations.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { getSetting, setSetting } from '../utils/settings.js';
+import { TWO_FACTOR_ROLES_SETTING } from '../utils/twoFactor.js';
+import { accountKey, clearLoginFailures } from '../utils/loginThrottle.js';
+import { findUserByIdentifier } from '../utils/identity.js';
+import { getInvoiceSettings, updateInvoiceSettings } from '../utils/invoices.js';
+import { parseRangeBoundary } from '../utils/time.js';
+import { BadRequestError, NotFoundError } from '../errors/index.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+const DEFAULT_INVITATION_DAYS = 7;
+const MAX_INVOICES_PER_PAGE = 500;
+
 /**
  * @swagger
  * tags:
@@ -74,6 +93,7 @@ router.get('/users', auth, adminOnly, async (req, res) => {
  *             properties:
  *               username:
  *                 type: string
+ *                 description: Username or email address, case-insensitive
  *               newRole:
  *                 type: string
  *                 enum: [client, photographer, admin]
@@ -104,7 +124,7 @@ router.put('/users/role', auth, adminOnly, async (req, res) => {
       });
     }
     
-    const user = await User.findOne({ where: { username } });
+    const user = await findUserByIdentifier(username);
     
     if (!user) {
       return res.status(404).json({
@@ -134,6 +154,444 @@ router.put('/users/role', auth, adminOnly, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out by failed logins
+ *     description: Clears the account's failed-login counter and lockout
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', auth, adminOnly, async (req, res) => {
+  const user = await User.findByPk(req.params.id);
+  if (!user) {
+    throw new NotFoundError(`No user with id ${req.params.id}`);
+  }
+
+  await clearLoginFailures(accountKey(user));
+  await ActivityLog.create({
+    adminId: req.user.userId,
+    action: 'account_unlocked',
+    details: JSON.stringify({ userId: user.id, username: user.username })
+  });
+
+  logger.info('Account unlocked', { userId: user.id, adminId: req.user.userId, event: 'account_unlocked' });
+  res.status(200).json({ success: true, message: `Account ${user.username} unlocked` });
+});
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   post:
+ *     summary: Invite a photographer or admin
+ *     description: |
+ *       Creates an invitation and returns the signed token to register with.
+ *       If an email is given the invitation is sent there and only that
+ *       address can redeem it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [photographer, admin]
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               invitation:
+ *                 id: 4
+ *                 role: "photographer"
+ *                 email: "jane@example.com"
+ *                 expiresAt: "2024-05-29T10:30:00Z"
+ *               inviteToken: "signed_invitation_token"
+ *       400:
+ *         description: Invalid input
+ *   get:
+ *     summary: List invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All invitations, newest first
+ */
+router.post('/invitations', auth, adminOnly, validateInvitation, async (req, res) => {
+  const { role, email, expiresInDays = DEFAULT_INVITATION_DAYS } = req.body;
+
+  const invitation = await Invitation.create({
+    role,
+    email: email || null,
+    invitedBy: req.user.userId,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+  const inviteToken = signInvitationToken(invitation);
+
+  await ActivityLog.create({
+    adminId: req.user.userId,
+    action: 'invitation_created',
+    details: JSON.stringify({ invitationId: invitation.id, role, email: invitation.email })
+  });
+
+  if (invitation.email) {
+    try {
+      await sendMail({
+        to: invitation.email,
+        subject: `You're invited to join as ${role}`,
+        text: `You have been invited to join the studio as ${role}.\n\n`
+          + `Create your account using the link below. It expires in ${expiresInDays} days.\n\n`
+          + clientUrl('/register', { invite: inviteToken })
+      });
+    } catch (error) {
+      // The admin still gets the token and can pass it on themselves
+      logger.error('Invitation email failed', { invitationId: invitation.id, error: error.message });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    invitation: {
+      id: invitation.id,
+      role: invitation.role,
+      email: invitation.email,
+      expiresAt: invitation.expiresAt
+    },
+    inviteToken
+  });
+});
+
+router.get('/invitations', auth, adminOnly, async (req, res) => {
+  const invitations = await Invitation.findAll({
+    include: [
+      { model: User, as: 'inviter', attributes: ['id', 'username'] },
+      { model: User, as: 'acceptedUser', attributes: ['id', 'username'] }
+    ],
+    order: [['createdAt', 'DESC']]
+  });
+
+  res.status(200).json({
+    success: true,
+    invitations,
+    count: invitations.length
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: No pending invitation with that id
+ */
+router.delete('/invitations/:id', auth, adminOnly, async (req, res) => {
+  const invitation = await Invitation.findOne({
+    where: { id: req.params.id, acceptedAt: null, revokedAt: null }
+  });
+
+  if (!invitation) {
+    throw new NotFoundError(`No pending invitation with id ${req.params.id}`);
+  }
+
+  await invitation.update({ revokedAt: new Date() });
+  await ActivityLog.create({
+    adminId: req.user.userId,
+    action: 'invitation_revoked',
+    details: JSON.stringify({ invitationId: invitation.id })
+  });
+
+  res.status(200).json({ success: true, message: 'Invitation revoked' });
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/two-factor:
+ *   get:
+ *     summary: Get roles that must use two-factor authentication
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles requiring 2FA
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               requiredRoles: ["admin"]
+ *   put:
+ *     summary: Set roles that must use two-factor authentication
+ *     description: |
+ *       Users in these roles without 2FA are sent through enrollment on their
+ *       next login and cannot turn 2FA off.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [client, photographer, admin]
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       400:
+ *         description: Invalid roles
+ */
+router.get('/settings/two-factor', auth, adminOnly, async (req, res) => {
+  const requiredRoles = await getSetting(TWO_FACTOR_ROLES_SETTING, []);
+  res.status(200).json({ success: true, requiredRoles });
+});
+
+router.put('/settings/two-factor', auth, adminOnly, async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  if (!Array.isArray(requiredRoles)
+    || !requiredRoles.every(role => ['client', 'photographer', 'admin'].includes(role))) {
+    throw new BadRequestError('requiredRoles must be an array of: client, photographer, admin');
+  }
+
+  const roles = [...new Set(requiredRoles)];
+  await setSetting(TWO_FACTOR_ROLES_SETTING, roles);
+  await ActivityLog.create({
+    adminId: req.user.userId,
+    action: 'two_factor_roles_updated',
+    details: JSON.stringify({ requiredRoles: roles })
+  });
+
+  res.status(200).json({ success: true, requiredRoles: roles });
+});
+
+/**
+ * @swagger
+ * /api/admin/settings/invoicing:
+ *   get:
+ *     summary: Get invoicing settings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoicing settings
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               settings:
+ *                 studioName: "Photography Studio"
+ *                 studioAddress: "1 High Street, London"
+ *                 numberPrefix: "INV-"
+ *                 taxLabel: "VAT"
+ *                 taxRate: 20
+ *                 pricesIncludeTax: false
+ *   put:
+ *     summary: Update invoicing settings
+ *     description: |
+ *       Only the fields sent are changed. Invoices already issued keep the
+ *       settings they were issued with.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               studioName:
+ *                 type: string
+ *               studioAddress:
+ *                 type: string
+ *               numberPrefix:
+ *                 type: string
+ *               taxLabel:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Percent, e.g. 20
+ *               pricesIncludeTax:
+ *                 type: boolean
+ *                 description: Whether service prices already include tax
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid settings
+ */
+router.get('/settings/invoicing', auth, adminOnly, async (req, res) => {
+  const settings = await getInvoiceSettings();
+  res.status(200).json({ success: true, settings });
+});
+
+router.put('/settings/invoicing', auth, adminOnly, async (req, res) => {
+  const settings = await updateInvoiceSettings(req.body);
+  await ActivityLog.create({
+    adminId: req.user.userId,
+    action: 'invoice_settings_updated',
+    details: JSON.stringify(settings)
+  });
+
+  res.status(200).json({ success: true, settings });
+});
+
+/**
+ * @swagger
+ * /api/admin/invoices:
+ *   get:
+ *     summary: List invoices for bookkeeping
+ *     description: |
+ *       Invoices in number order, optionally limited to those issued between
+ *       from and to. Each takes a date (YYYY-MM-DD in the studio timezone, to
+ *       inclusive) or an ISO-8601 date-time. sums covers every matching
+ *       invoice, not just the page.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Page of invoices
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               invoices:
+ *                 - id: 3
+ *                   number: "INV-000003"
+ *                   bookingId: 1
+ *                   billToName: "John Client"
+ *                   issuedAt: "2023-12-01T19:00:00.000Z"
+ *                   currency: "usd"
+ *                   subtotal: "1500.00"
+ *                   taxAmount: "300.00"
+ *                   total: "1800.00"
+ *               count: 1
+ *               total: 1
+ *               page: 1
+ *               totalPages: 1
+ *               sums:
+ *                 subtotal: "1500.00"
+ *                 taxAmount: "300.00"
+ *                 total: "1800.00"
+ *       400:
+ *         description: Invalid range or page
+ */
+router.get('/invoices', auth, adminOnly, async (req, res) => {
+  const where = {};
+  if (req.query.from || req.query.to) {
+    const from = req.query.from && parseRangeBoundary(req.query.from);
+    const to = req.query.to && parseRangeBoundary(req.query.to, { endOfDay: true });
+    if (from === null || to === null) {
+      throw new BadRequestError('from and to must be dates (YYYY-MM-DD) or ISO-8601 date-times');
+    }
+    where.issuedAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lt]: to })
+    };
+  }
+
+  const page = Number(req.query.page || 1);
+  const limit = Math.min(Number(req.query.limit || 100), MAX_INVOICES_PER_PAGE);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+    throw new BadRequestError('page and limit must be positive whole numbers');
+  }
+
+  const [{ rows, count }, sums] = await Promise.all([
+    Invoice.findAndCountAll({ where, order: [['sequence', 'ASC']], limit, offset: (page - 1) * limit }),
+    Invoice.findOne({
+      where,
+      attributes: ['subtotal', 'taxAmount', 'total'].map(field => [
+        sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col(field)), 0),
+        field
+      ]),
+      raw: true
+    })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    invoices: rows,
+    count: rows.length,
+    total: count,
+    page,
+    totalPages: Math.ceil(count / limit),
+    sums
+  });
+});
+
 /**
  * @swagger
  * /api/admin/dashboard:
@@ -1,15 +1,116 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Invitation from '../models/Invitation.js';
+import ProviderIdentity from '../models/ProviderIdentity.js';
+import RecoveryCode from '../models/RecoveryCode.js';
 import { addToBlacklist } from '../utils/tokenBlacklist.js';
+import { createSession, rotateSession, revokeSession, revokeUserSessions } from '../utils/tokens.js';
 import { auth } from '../middleware/auth.js';
-import { validateRegistration } from '../middleware/validateInput.js';
+import { validateRegistration, validateEmailRequest, validatePasswordReset } from '../middleware/validateInput.js';
+import { issueOneTimeToken, consumeOneTimeToken } from '../utils/oneTimeTokens.js';
+import { sendMail, clientUrl } from '../utils/mailer.js';
+import { findPendingInvitation } from '../utils/invitations.js';
+import { linkGuestBookings } from '../utils/guestBookings.js';
+import { encryptSecret, generateSecret, otpauthUri } from '../utils/totp.js';
+import {
+  isTwoFactorRequired,
+  replaceRecoveryCodes,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+import { sequelize } from '../config/db.js';
+import { findUserByIdentifier, normalizeUsername } from '../utils/identity.js';
+import { startAuthorization, finishAuthorization, resolveProviderUser } from '../utils/oidc.js';
+import { accountKey, checkLoginThrottle, clearLoginFailures, recordLoginFailure } from '../utils/loginThrottle.js';
+import { BadRequestError, NotFoundError, UnauthenticatedError } from '../errors/index.js';
 import logger from '../utils/logger.js';
 import { Op } from 'sequelize';
 
 const router = express.Router();
 
+const PASSWORD_RESET_LIFETIME_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+const TOTP_ISSUER = 'Photography Studio';
+
+const clientInfo = (req) => ({ userAgent: req.get('user-agent'), ipAddress: req.ip });
+
+// 2FA enrollment is reachable with a normal access token, or with the
+// 'enroll' challenge token /login hands out when the user's role requires 2FA
+const authOrEnrollmentChallenge = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  const challenge = verifyChallengeToken(req.body.challengeToken, 'enroll');
+  req.user = { userId: challenge.userId, username: challenge.username, role: challenge.role };
+  req.enrollmentChallenge = true;
+  next();
+};
+
+// Same shape as the global rate limiter's response
+const tooManyAttempts = (req, res, retryAfter, username) => {
+  logger.error('Login throttled', {
+    username,
+    ip: req.ip,
+    retryAfter,
+    event: 'login_throttled'
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    message: `Too many failed login attempts. Try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
+
+// Shared end of every first-factor login (password or identity provider)
+const completeLogin = async (req, res, user) => {
+  // Second step: the client exchanges the challenge token at /login/2fa
+  if (user.twoFactorEnabled) {
+    return res.json({ twoFactorRequired: true, challengeToken: signChallengeToken(user, 'login') });
+  }
+
+  // Role requires 2FA but the user has not enrolled: only enrollment is allowed
+  if (await isTwoFactorRequired(user.role)) {
+    return res.json({ twoFactorSetupRequired: true, challengeToken: signChallengeToken(user, 'enroll') });
+  }
+
+  const { token, refreshToken, expiresIn } = await createSession(user, clientInfo(req));
+
+  logger.info(`User logged in: ${user.username}`);
+  return res.json({ token, refreshToken, expiresIn });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueOneTimeToken(user.id, 'email_verification', EMAIL_VERIFICATION_LIFETIME_MS);
+  const link = clientUrl('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\n`
+      + `Please confirm your email address using the link below. It expires in 24 hours.\n\n${link}`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueOneTimeToken(user.id, 'password_reset', PASSWORD_RESET_LIFETIME_MS);
+  const link = clientUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\n`
+      + `Use the link below to choose a new password. It expires in one hour.\n\n${link}\n\n`
+      + 'If you did not ask for this, you can ignore this email.'
+  });
+};
+
 /**
  * @swagger
  * tags:
@@ -36,7 +137,7 @@ const router = express.Router();
  *             properties:
  *               username:
  *                 type: string
- *                 description: Unique username
+ *                 description: Unique username (case-insensitive, cannot contain @)
  *               email:
  *                 type: string
  *                 format: email
@@ -45,10 +146,12 @@ const router = express.Router();
  *                 type: string
  *                 format: password
  *                 description: Strong password with at least 8 characters
- *               role:
+ *               inviteToken:
  *                 type: string
- *                 enum: [admin, photographer, client]
- *                 description: User role (defaults to 'client' if not provided or invalid)
+ *                 description: |
+ *                   Invitation token from an admin. Registers the user with the
+ *                   invited role; without it every account is a client.
+ *                   Any role field in the body is ignored.
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -61,7 +164,7 @@ const router = express.Router();
  *                   type: string
  *                   example: User created successfully
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, user already exists or invitation invalid
  *         content:
  *           application/json:
  *             schema:
@@ -92,6 +195,10 @@ const router = express.Router();
  *             properties:
  *               username:
  *                 type: string
+ *                 description: Username or email address, case-insensitive
+ *               email:
+ *                 type: string
+ *                 description: Alternative to username
  *               password:
  *                 type: string
  *     responses:
@@ -104,7 +211,22 @@ const router = express.Router();
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token containing userId, username, and role
+ *                   description: Short-lived JWT access token containing userId, username, role and session id
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Long-lived token for POST /api/auth/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Set instead of tokens when the user has 2FA; continue at /login/2fa
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Set instead of tokens when the role requires 2FA and the user has not enrolled; continue at /2fa/setup
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Short-lived token for the second step
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -115,10 +237,338 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: Invalid credentials
+ *       429:
+ *         description: |
+ *           Too many failed attempts. Each failure past the third doubles the
+ *           wait before the next try; enough of them lock the account (or IP)
+ *           temporarily. retryAfter gives the wait in seconds.
  *       500:
  *         description: Server error
  */
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: |
+ *       Second step of login for users with 2FA enabled. Exchange the
+ *       challengeToken from /login (valid 5 minutes) plus an authenticator code
+ *       or an unused recovery code for the usual token pair.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "k7f2-wxqp-3m4d"
+ *     responses:
+ *       200:
+ *         description: Login successful, same body as /login
+ *       400:
+ *         description: Missing challengeToken or code
+ *       401:
+ *         description: Challenge expired or code invalid
+ *       429:
+ *         description: Too many failed attempts
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Generates a new TOTP secret. Add it to an authenticator app (the
+ *       otpauthUri can be shown as a QR code), then confirm with /2fa/enable.
+ *       Authenticate with a bearer token, or with the challengeToken /login
+ *       returns when the user's role requires 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             example:
+ *               secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *               otpauthUri: "otpauth://totp/Photography%20Studio%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Photography+Studio&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: 2FA already enabled
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: |
+ *       Enables 2FA once a code from the new secret checks out and returns ten
+ *       recovery codes, shown only this once. When called with an enrollment
+ *       challengeToken the response also carries the login token pair.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when the user's role requires 2FA
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Invalid password or code, or 2FA required for role
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes; the old ones stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Start social login
+ *     description: |
+ *       Returns the identity provider URL to send the user to (OpenID Connect
+ *       authorization code flow with PKCE). After signing in, the provider
+ *       redirects to redirectUri with code and state, which the client posts to
+ *       the callback endpoint.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *       - in: query
+ *         name: redirectUri
+ *         schema:
+ *           type: string
+ *         description: One of OIDC_REDIRECT_URIS (defaults to the first)
+ *     responses:
+ *       200:
+ *         description: Provider URL
+ *         content:
+ *           application/json:
+ *             example:
+ *               authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth?client_id=...&code_challenge=...&code_challenge_method=S256"
+ *       400:
+ *         description: redirectUri not allowed
+ *       404:
+ *         description: Provider not enabled
+ */
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   post:
+ *     summary: Finish social login
+ *     description: |
+ *       Exchanges the provider's code for the usual login response. The
+ *       provider account is linked to the user with the same verified email,
+ *       or a new client account is created. Post every parameter the provider
+ *       added to the redirect URL: providers that send iss have it checked.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               iss:
+ *                 type: string
+ *                 description: Issuer the provider sent back (RFC 9207)
+ *               error:
+ *                 type: string
+ *                 description: Sent instead of code when the provider refused the login
+ *               error_description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Same body as /login, including the two-factor challenge cases
+ *       400:
+ *         description: Missing code/state or provider account has no verified email
+ *       401:
+ *         description: Login attempt expired, the provider returned an error, or the code exchange failed
+ *       409:
+ *         description: A local account with that email exists but is not verified
+ */
+
+/**
+ * @swagger
+ * /api/auth/identities:
+ *   get:
+ *     summary: List linked provider accounts
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked accounts
+ */
+
+/**
+ * @swagger
+ * /api/auth/identities/{id}:
+ *   delete:
+ *     summary: Unlink a provider account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Unlinked
+ *       404:
+ *         description: No such linked account
+ */
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate refresh token
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       Each refresh token can be used once; replaying an old one revokes the
+ *       whole session it belongs to.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ */
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -144,14 +594,217 @@ const router = express.Router();
  *         description: Server error
  */
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Lists the current user's logins that have not been logged out or expired
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               sessions:
+ *                 - id: 12
+ *                   userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+ *                   ipAddress: "203.0.113.7"
+ *                   createdAt: "2024-05-22T10:30:00Z"
+ *                   lastSeenAt: "2024-05-23T08:12:00Z"
+ *                   expiresAt: "2024-06-22T08:12:00Z"
+ *                   current: true
+ *       401:
+ *         description: Unauthorized
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Logs out one of the current user's sessions; its access and refresh tokens stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the current user, including this one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Logged out of 3 sessions
+ *       401:
+ *         description: Unauthorized
+ */
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Emails a single-use reset link valid for one hour. The response is the
+ *       same, and sent as quickly, whether or not the email belongs to an
+ *       account; the email goes out afterwards.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Invalid email
+ */
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Sets a new password and logs the user out of every session
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: New password, same rules as registration
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input, or token invalid, expired or already used
+ */
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verify email address
+ *     description: Confirms the address using the token from the verification email
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid, expired or already used
+ */
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend verification email
+ *     description: |
+ *       Sends a new verification link; earlier links stop working. The response
+ *       is the same, and sent as quickly, whether or not the email belongs to an
+ *       unverified account; the email goes out afterwards.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account needs one
+ *       400:
+ *         description: Invalid email
+ */
+
 // Register
 router.post('/register', validateRegistration, async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, inviteToken } = req.body;
 
-    // Check if user exists
+    // Public registration is always a client; other roles need an invitation
+    let invitation = null;
+    if (inviteToken) {
+        try {
+            invitation = await findPendingInvitation(inviteToken);
+        } catch (inviteError) {
+            return res.status(400).json({ message: inviteError.message });
+        }
+
+        if (invitation.email && invitation.email.toLowerCase() !== email.toLowerCase()) {
+            logger.error('Registration failed - Invitation email mismatch', {
+                username,
+                email,
+                invitationId: invitation.id,
+                event: 'registration_invite_mismatch'
+            });
+            return res.status(400).json({ message: 'Invitation was issued for a different email address' });
+        }
+    }
+
+    // Check if user exists (usernames compare case-insensitively)
     const existingUser = await User.findOne({ where: { 
-        [Op.or]: [{ username }, { email }] 
+        [Op.or]: [{ usernameNormalized: normalizeUsername(username) }, { email }] 
     }});
 
     if (existingUser) {
@@ -159,7 +812,7 @@ router.post('/register', validateRegistration, async (req, res) => {
             username,
             email,
             event: 'registration_duplicate',
-            duplicateField: existingUser.username === username ? 'username' : 'email'
+            duplicateField: existingUser.usernameNormalized === normalizeUsername(username) ? 'username' : 'email'
         });
         return res.status(400).json({ 
             message: 'Username or email already exists'
@@ -167,21 +820,65 @@ router.post('/register', validateRegistration, async (req, res) => {
     }
 
     const hashedPassword = await bcrypt.hash(password, 10);
-    
-    // Validate and set role (ensuring it's one of the allowed values)
-    const validRole = role && ['admin', 'photographer', 'client'].includes(role) 
-      ? role 
-      : 'client';
-    
-    const user = await User.create({
-      username,
-      email,
-      password: hashedPassword,
-      role: validRole  // Make sure role is saved
+
+    const user = await sequelize.transaction(async (transaction) => {
+      // An invitation sent to this address proves the user can read its mail
+      const invitedByEmail = Boolean(invitation?.email);
+      const created = await User.create({
+        username,
+        email,
+        password: hashedPassword,
+        role: invitation ? invitation.role : 'client',
+        emailVerified: invitedByEmail,
+        emailVerifiedAt: invitedByEmail ? new Date() : null
+      }, { transaction });
+
+      if (invitation) {
+        // Conditional so one invitation cannot be redeemed twice concurrently
+        const [claimed] = await Invitation.update(
+          { acceptedAt: new Date(), acceptedUserId: created.id },
+          { where: { id: invitation.id, acceptedAt: null, revokedAt: null }, transaction }
+        );
+        if (!claimed) {
+          throw new BadRequestError('Invitation is invalid or has expired');
+        }
+      }
+
+      await linkGuestBookings(created, { transaction });
+      return created;
     });
 
-    res.status(201).json({ message: 'User created successfully' });
+    if (invitation) {
+      logger.info('Invitation redeemed', {
+        userId: user.id,
+        invitationId: invitation.id,
+        role: user.role,
+        event: 'invitation_redeemed'
+      });
+    }
+
+    // Registration stands even if the email fails; the user can ask for it again
+    if (!user.emailVerified) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error('Verification email failed', {
+          userId: user.id,
+          error: mailError.message,
+          event: 'verification_email_failed'
+        });
+      }
+    }
+
+    res.status(201).json({
+      message: user.emailVerified
+        ? 'User created successfully'
+        : 'User created successfully. Please check your email to verify your address'
+    });
   } catch (err) {
+    if (err instanceof BadRequestError) {
+      return res.status(400).json({ message: err.message });
+    }
     logger.error('Registration failed', {
         username: req.body.username,
         error: err.message,
@@ -194,8 +891,16 @@ router.post('/register', validateRegistration, async (req, res) => {
 // Login
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const user = await User.findOne({ where: { username } });
+    // username may be either the username or the email address
+    const { password } = req.body;
+    const username = req.body.username || req.body.email;
+    const user = await findUserByIdentifier(username);
+    const account = accountKey(user, username);
+
+    const retryAfter = await checkLoginThrottle({ account, ip: req.ip });
+    if (retryAfter) {
+      return tooManyAttempts(req, res, retryAfter, username);
+    }
 
     if (!user) {
       logger.error('Authentication failed', {
@@ -203,6 +908,7 @@ router.post('/login', async (req, res) => {
         reason: 'Invalid credentials',
         event: 'auth_failure'
       });
+      await recordLoginFailure({ account, ip: req.ip });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -213,28 +919,207 @@ router.post('/login', async (req, res) => {
         reason: 'Invalid credentials',
         event: 'auth_failure'
       });
+      await recordLoginFailure({ account, ip: req.ip, userId: user.id });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Make sure to include the user's role in the token
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // With 2FA the password alone is not a successful login: failures stay
+    // counted until /login/2fa accepts the second factor, so logging in
+    // again cannot reset the lockout on code guesses
+    if (!user.twoFactorEnabled) {
+      await clearLoginFailures(account);
+    }
 
-    logger.info(`User logged in: ${username}`);
-    res.json({ token });
+    return completeLogin(req, res, user);
   } catch (err) {
     logger.error('Login error:', { error: err.message });
     res.status(500).json('Server Error');
   }
 });
 
+// Second login step for users with 2FA
+router.post('/login/2fa', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new BadRequestError('Please provide challengeToken and code or recoveryCode');
+  }
+
+  const challenge = verifyChallengeToken(challengeToken, 'login');
+  const account = accountKey({ id: challenge.userId });
+
+  const retryAfter = await checkLoginThrottle({ account, ip: req.ip });
+  if (retryAfter) {
+    return tooManyAttempts(req, res, retryAfter, challenge.username);
+  }
+
+  const user = await User.findByPk(challenge.userId);
+  if (!user || !user.twoFactorEnabled || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+    logger.error('Authentication failed', {
+      username: challenge.username,
+      reason: 'Invalid two-factor code',
+      event: 'auth_failure'
+    });
+    await recordLoginFailure({ account, ip: req.ip, userId: challenge.userId });
+    throw new UnauthenticatedError('Invalid two-factor code');
+  }
+
+  await clearLoginFailures(account);
+
+  const { token, refreshToken, expiresIn } = await createSession(user, clientInfo(req));
+
+  logger.info(`User logged in: ${user.username}`, { twoFactor: recoveryCode ? 'recovery_code' : 'totp' });
+  res.json({ token, refreshToken, expiresIn });
+});
+
+// Start 2FA enrollment
+router.post('/2fa/setup', authOrEnrollmentChallenge, async (req, res) => {
+  const user = await User.findByPk(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactorSecret = encryptSecret(secret);
+  user.twoFactorLastStep = null;
+  await user.save();
+
+  res.json({ secret, otpauthUri: otpauthUri(secret, user.email, TOTP_ISSUER) });
+});
+
+// Confirm enrollment with a first code
+router.post('/2fa/enable', authOrEnrollmentChallenge, async (req, res) => {
+  const user = await User.findByPk(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new BadRequestError('Start two-factor setup first');
+  }
+  if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+    throw new BadRequestError('Invalid two-factor code');
+  }
+
+  user.twoFactorEnabled = true;
+  await user.save();
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+  logger.info('Two-factor authentication enabled', { userId: user.id, event: 'two_factor_enabled' });
+
+  // Users enrolling from a login challenge are logged in once they finish
+  const tokens = req.enrollmentChallenge ? await createSession(user, clientInfo(req)) : null;
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes,
+    ...(tokens && { token: tokens.token, refreshToken: tokens.refreshToken, expiresIn: tokens.expiresIn })
+  });
+});
+
+// Turn 2FA off
+router.post('/2fa/disable', auth, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findByPk(req.user.userId);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  if (!user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+  if (await isTwoFactorRequired(user.role)) {
+    throw new BadRequestError(`Two-factor authentication is required for ${user.role} accounts`);
+  }
+  if (!password || !(await bcrypt.compare(password, user.password))
+    || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+    throw new BadRequestError('Invalid password or two-factor code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorLastStep = null;
+  await user.save();
+  await RecoveryCode.destroy({ where: { userId: user.id } });
+
+  logger.info('Two-factor authentication disabled', { userId: user.id, event: 'two_factor_disabled' });
+  res.json({ message: 'Two-factor authentication disabled' });
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  const user = await User.findByPk(req.user.userId);
+  if (!user || !user.twoFactorEnabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+  if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+    throw new BadRequestError('Invalid two-factor code');
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(user.id);
+  res.json({ recoveryCodes });
+});
+
+// Social login: get the provider URL
+router.get('/oauth/:provider', async (req, res) => {
+  const authorizationUrl = await startAuthorization(req.params.provider.toLowerCase(), req.query.redirectUri);
+  res.json({ authorizationUrl });
+});
+
+// Social login: finish with the code the provider returned
+router.post('/oauth/:provider/callback', async (req, res) => {
+  const provider = req.params.provider.toLowerCase();
+  const claims = await finishAuthorization(provider, req.body);
+  const user = await resolveProviderUser(provider, claims);
+  return completeLogin(req, res, user);
+});
+
+// Linked provider accounts
+router.get('/identities', auth, async (req, res) => {
+  const identities = await ProviderIdentity.findAll({
+    where: { userId: req.user.userId },
+    attributes: ['id', 'provider', 'email', 'createdAt', 'lastLoginAt']
+  });
+  res.json({ success: true, identities, count: identities.length });
+});
+
+router.delete('/identities/:id', auth, async (req, res) => {
+  const identity = await ProviderIdentity.findOne({
+    where: { id: req.params.id, userId: req.user.userId }
+  });
+  if (!identity) {
+    throw new NotFoundError(`No linked account with id: ${req.params.id}`);
+  }
+
+  await identity.destroy();
+  logger.info('Provider identity unlinked', {
+    userId: req.user.userId,
+    provider: identity.provider,
+    event: 'oidc_identity_unlinked'
+  });
+  res.json({ message: 'Linked account removed' });
+});
+
+// Refresh
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    throw new BadRequestError('Please provide refreshToken');
+  }
+
+  const { token, refreshToken: nextRefreshToken, expiresIn } = await rotateSession(refreshToken);
+  res.json({ token, refreshToken: nextRefreshToken, expiresIn });
+});
+
 // Logout
 router.post('/logout', auth, async (req, res) => {
     try {
-        addToBlacklist(req.token);
+        await addToBlacklist(req.token);
+        if (req.user.sessionId) {
+            await revokeSession(req.user.sessionId, 'logout');
+        }
         res.json({ message: 'Logged out successfully' });
     } catch (err) {
         console.error(err);
@@ -242,6 +1127,136 @@ router.post('/logout', auth, async (req, res) => {
     }
 });
 
+// List active sessions
+router.get('/sessions', auth, async (req, res) => {
+  const sessions = await Session.findAll({
+    where: {
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt'],
+    order: [['lastSeenAt', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.user.sessionId
+    }))
+  });
+});
+
+// Revoke one session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  const session = await Session.findOne({
+    where: { id: req.params.id, userId: req.user.userId, revokedAt: null }
+  });
+
+  if (!session) {
+    throw new NotFoundError(`No session with id: ${req.params.id}`);
+  }
+
+  await revokeSession(session.id, 'revoked_by_user');
+  logger.info('Session revoked', {
+    userId: req.user.userId,
+    sessionId: session.id,
+    event: 'session_revoked'
+  });
+
+  res.json({ message: 'Session revoked successfully' });
+});
+
+// Logout everywhere
+router.post('/logout-all', auth, async (req, res) => {
+  const count = await revokeUserSessions(req.user.userId, 'logout_all');
+  await addToBlacklist(req.token);
+
+  logger.info('User logged out of all sessions', {
+    userId: req.user.userId,
+    count,
+    event: 'logout_all'
+  });
+
+  res.json({ message: `Logged out of ${count} sessions` });
+});
+
+// Forgot password. Answers before looking the email up, so a registered
+// address is no slower than an unknown one and a failed email only gets logged.
+router.post('/forgot-password', validateEmailRequest, async (req, res) => {
+  const { email } = req.body;
+  res.json({ message: 'If that email is registered, a reset link has been sent' });
+
+  try {
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      logger.info('Password reset requested for unknown email', { event: 'password_reset_unknown_email' });
+      return;
+    }
+
+    await sendPasswordResetEmail(user);
+    logger.info('Password reset requested', { userId: user.id, event: 'password_reset_requested' });
+  } catch (error) {
+    logger.error('Password reset email failed', { error: error.message, event: 'password_reset_email_failed' });
+  }
+});
+
+// Reset password
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  const { token, password } = req.body;
+
+  const resetToken = await consumeOneTimeToken(token, 'password_reset');
+  const user = resetToken && await User.findByPk(resetToken.userId);
+  if (!user) {
+    throw new BadRequestError('Reset link is invalid or has expired');
+  }
+
+  user.password = await bcrypt.hash(password, 10);
+  await user.save();
+
+  // Existing logins may belong to whoever knew the old password
+  await revokeUserSessions(user.id, 'password_reset');
+
+  logger.info('Password reset', { userId: user.id, event: 'password_reset' });
+  res.json({ message: 'Password reset successfully' });
+});
+
+// Verify email
+router.get('/verify-email', async (req, res) => {
+  const verification = await consumeOneTimeToken(req.query.token, 'email_verification');
+  const user = verification && await User.findByPk(verification.userId);
+  if (!user) {
+    throw new BadRequestError('Verification link is invalid or has expired');
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  // Bookings made as a guest with this address now belong to the account
+  await linkGuestBookings(user);
+
+  logger.info('Email verified', { userId: user.id, event: 'email_verified' });
+  res.json({ message: 'Email verified successfully' });
+});
+
+// Resend verification email. Answers before looking the email up, like forgot-password.
+router.post('/verify-email/resend', validateEmailRequest, async (req, res) => {
+  res.json({ message: 'If that email needs verifying, a new link has been sent' });
+
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+      logger.info('Verification email resent', { userId: user.id, event: 'verification_email_resent' });
+    }
+  } catch (error) {
+    logger.error('Verification email failed', { error: error.message, event: 'verification_email_failed' });
+  }
+});
+
 // Test logging route
 router.get('/test-log', (req, res) => {
     logger.info('Test log entry');
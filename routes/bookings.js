@@ -1,10 +1,49 @@
 import express from 'express';
-import { auth, adminOnly, photographerOrAdmin } from '../middleware/auth.js';
+import { Op } from 'sequelize';
+import { auth, optionalAuth, adminOnly, photographerOrAdmin, verifiedEmailRequired } from '../middleware/auth.js';
+import { guestBookingLimiter } from '../middleware/rateLimit.js';
 import Booking from '../models/Booking.js';
 import User from '../models/User.js';
 import Service from '../models/Service.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import BookingRescheduleRequest from '../models/BookingRescheduleRequest.js';
+import { sequelize } from '../config/db.js';
 import { StatusCodes } from 'http-status-codes';
-import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/index.js';
+import { NotFoundError, BadRequestError, UnauthenticatedError, ConflictError } from '../errors/index.js';
+import {
+  transitionBooking,
+  recordBookingCreated,
+  recordBookingEvent,
+  depositOutstanding,
+  BOOKING_STATUSES
+} from '../utils/bookingStateMachine.js';
+import { createDepositPayment } from '../utils/payments.js';
+import { findOrIssueInvoice } from '../utils/invoices.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { cancellationTerms, cancellationFeeSummary } from '../utils/cancellationPolicy.js';
+import { notifyBookingAfterCommit } from '../utils/notifications.js';
+import { bookingCalendar, calendarIncludes } from '../utils/calendarFeeds.js';
+import { GUEST_ACTOR, findGuestBooking, guestBookingUrl, newGuestToken } from '../utils/guestBookings.js';
+import {
+  BOOKING_CREATE_FIELDS,
+  BOOKING_UPDATABLE_FIELDS,
+  validateAcceptBooking,
+  validateAssignPhotographer,
+  validateBookingId,
+  validateBookingStatus,
+  validateCancelBooking,
+  validateCreateBooking,
+  validateGuestCancel,
+  validateGuestToken,
+  validatePhotographerId,
+  validateRescheduleRequest,
+  validateRescheduleRequestId,
+  validateRescheduleResponse,
+  validateUpdateBooking,
+  validateWaiveFee
+} from '../middleware/validateBooking.js';
+import { assertPhotographerAvailable, assertSlotAvailable, sessionWindow } from '../utils/availability.js';
+import { parseDateTime, parseRangeBoundary, studioTimezone } from '../utils/time.js';
 
 /**
  * @swagger
@@ -24,8 +63,7 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *         - email
  *         - phoneNumber
  *         - serviceId
- *         - date
- *         - time
+ *         - startAt
  *         - location
  *       properties:
  *         id:
@@ -44,13 +82,17 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *         serviceId:
  *           type: integer
  *           description: ID of the service booked
- *         date:
+ *         startAt:
  *           type: string
- *           format: date
- *           description: Date of the session
- *         time:
+ *           format: date-time
+ *           description: Start of the session (ISO-8601, UTC)
+ *         endAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of the session, startAt plus the service duration
+ *         timezone:
  *           type: string
- *           description: Time of the session
+ *           description: IANA timezone of the studio, e.g. "Europe/London"
  *         location:
  *           type: string
  *           description: Location of the session
@@ -59,12 +101,31 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *           description: Additional booking details
  *         status:
  *           type: string
- *           enum: [pending, confirmed, completed, cancelled]
+ *           enum: [pending, confirmed, completed, cancelled, no_show]
  *           default: pending
  *           description: Booking status
+ *         depositPaidAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the deposit was paid (null if unpaid or none is needed)
+ *         cancellationFee:
+ *           type: number
+ *           nullable: true
+ *           description: Fee charged for a late cancellation or a no-show
+ *         cancellationFeeReason:
+ *           type: string
+ *           enum: [late_cancellation, no_show]
+ *           nullable: true
+ *         cancellationFeeWaivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When an admin waived the fee
  *         clientId:
  *           type: integer
- *           description: ID of the client who made the booking
+ *           nullable: true
+ *           description: ID of the client who made the booking (null for guest bookings)
  *         photographerId:
  *           type: integer
  *           nullable: true
@@ -77,6 +138,89 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *           type: string
  *           format: date-time
  *           description: Timestamp when booking was last updated
+ *     BookingPage:
+ *       type: object
+ *       properties:
+ *         bookings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Booking'
+ *         count:
+ *           type: integer
+ *           description: Bookings on this page
+ *         total:
+ *           type: integer
+ *           description: Bookings matching the filters across all pages
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         totalPages:
+ *           type: integer
+ *   parameters:
+ *     BookingPage:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *     BookingLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *       description: Bookings per page; larger values are capped at 100
+ *     BookingStatusFilter:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *       description: One or more statuses, comma-separated (e.g. pending,confirmed)
+ *     BookingAwaitingCompletionFilter:
+ *       in: query
+ *       name: awaitingCompletion
+ *       schema:
+ *         type: boolean
+ *       description: Only confirmed bookings whose session has ended and that still need completing
+ *     BookingFromFilter:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *       description: Sessions starting at or after this date (YYYY-MM-DD, studio timezone) or date-time
+ *     BookingToFilter:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *       description: Sessions starting before this date-time, or up to the end of this date (inclusive)
+ *     BookingServiceFilter:
+ *       in: query
+ *       name: serviceId
+ *       schema:
+ *         type: integer
+ *     BookingPhotographerFilter:
+ *       in: query
+ *       name: photographerId
+ *       schema:
+ *         type: integer
+ *     BookingClientFilter:
+ *       in: query
+ *       name: clientId
+ *       schema:
+ *         type: integer
+ *     BookingSort:
+ *       in: query
+ *       name: sort
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Comma-separated field:direction pairs (e.g. startAt:asc,createdAt:desc).
+ *         Fields: startAt, endAt, createdAt, updatedAt, status, fullName.
  */
 
 /**
@@ -98,8 +242,7 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *               - email
  *               - phoneNumber
  *               - serviceId
- *               - date
- *               - time
+ *               - startAt
  *               - location
  *             properties:
  *               fullName:
@@ -111,11 +254,9 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *                 type: string
  *               serviceId:
  *                 type: integer
- *               date:
- *                 type: string
- *                 format: date
- *               time:
+ *               startAt:
  *                 type: string
+ *                 format: date-time
  *               location:
  *                 type: string
  *               additionalDetails:
@@ -198,6 +339,8 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *         description: Forbidden - Not a photographer or admin
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Photographer is outside working hours, on time off or already booked
  */
 
 /**
@@ -297,28 +440,262 @@ import { NotFoundError, BadRequestError, UnauthenticatedError } from '../errors/
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, completed, cancelled]
+ *                 enum: [pending, confirmed, completed, cancelled, no_show]
+ *               note:
+ *                 type: string
+ *                 description: Optional reason, kept in the booking history
  *     responses:
  *       200:
  *         description: Booking status updated successfully
+ *       400:
+ *         description: Missing or unknown status
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Not an admin
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: |
+ *           Transition not allowed. Legal moves: pending → confirmed, pending →
+ *           cancelled, confirmed → completed, confirmed → cancelled, confirmed →
+ *           no_show. Cancelling or marking a no-show applies the service's fee.
  */
 
 const router = express.Router();
 
+// Associations returned with a single booking
+const bookingIncludes = [
+  { model: Service, as: 'service', attributes: ['id', 'name', 'price', 'durationMinutes'] },
+  { model: User, as: 'client', attributes: ['id', 'username', 'email'] },
+  { model: User, as: 'photographer', attributes: ['id', 'username', 'email'] }
+];
+
+const pickFields = (body, fields) => Object.fromEntries(fields
+  .filter(field => body[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+// Limits a booking lookup to what the user may see: admins everything,
+// photographers the bookings assigned to them, clients their own
+const ownedBy = (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+  if (user.role === 'photographer') {
+    return { photographerId: user.userId };
+  }
+  return { clientId: user.userId };
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Columns booking listings can be sorted by
+const SORTABLE_FIELDS = ['startAt', 'endAt', 'createdAt', 'updatedAt', 'status', 'fullName'];
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new BadRequestError(`${name} must be a positive whole number`);
+  }
+  return number;
+};
+
+// Filters shared by every booking listing: status (comma-separated), a from/to
+// range on startAt, and serviceId, photographerId or clientId
+const listingFilters = (query) => {
+  const where = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    if (!statuses.every(status => BOOKING_STATUSES.includes(status))) {
+      throw new BadRequestError(`status must be one of: ${BOOKING_STATUSES.join(', ')}`);
+    }
+    where.status = statuses;
+  }
+
+  // Confirmed bookings whose session has ended, flagged by the scheduled jobs
+  if (query.awaitingCompletion === 'true') {
+    where.status = 'confirmed';
+    where.completionFlaggedAt = { [Op.ne]: null };
+  }
+
+  ['serviceId', 'photographerId', 'clientId'].forEach((field) => {
+    if (query[field] !== undefined) {
+      where[field] = parsePositiveInt(query[field], field);
+    }
+  });
+
+  if (query.from || query.to) {
+    const from = query.from && parseRangeBoundary(query.from);
+    const to = query.to && parseRangeBoundary(query.to, { endOfDay: true });
+    if (from === null || to === null) {
+      throw new BadRequestError('from and to must be dates (YYYY-MM-DD) or ISO-8601 date-times');
+    }
+    where.startAt = {
+      ...(from && { [Op.gte]: from }),
+      ...(to && { [Op.lt]: to })
+    };
+  }
+
+  return where;
+};
+
+// "startAt:asc,createdAt:desc" -> Sequelize order, with id last so pages
+// never shuffle rows that tie
+const listingOrder = (sort) => [
+  ...String(sort).split(',').map((field) => {
+    const [name, direction = 'asc'] = field.trim().split(':');
+    if (!SORTABLE_FIELDS.includes(name) || !['asc', 'desc'].includes(direction.toLowerCase())) {
+      throw new BadRequestError(`sort must be field:asc or field:desc, with field one of: ${SORTABLE_FIELDS.join(', ')}`);
+    }
+    return [name, direction.toUpperCase()];
+  }),
+  ['id', 'ASC']
+];
+
+// One page of bookings matching the query's filters. Scope conditions win over
+// filters, so callers cannot page outside the bookings they may see.
+const listBookings = async (query, { scope = {}, include = bookingIncludes, defaultSort = 'startAt:desc' } = {}) => {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+  const { rows, count } = await Booking.findAndCountAll({
+    where: { ...listingFilters(query), ...scope },
+    include,
+    order: listingOrder(query.sort || defaultSort),
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  return {
+    bookings: rows,
+    count: rows.length,
+    total: count,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit)
+  };
+};
+
+// Lets the client off a cancellation or no-show fee, noted in the history
+const waiveCancellationFee = async (booking, user, { note, transaction }) => {
+  await booking.update({
+    cancellationFeeWaivedAt: new Date(),
+    cancellationFeeWaivedBy: user.userId
+  }, { transaction });
+  await recordBookingEvent(booking, user, {
+    note: `Cancellation fee of ${booking.cancellationFee} waived${note ? `: ${note}` : ''}`,
+    transaction
+  });
+};
+
+const findOwnedBooking = async (id, where) => {
+  const booking = await Booking.findOne({ where: { id, ...where } });
+  if (!booking) {
+    throw new NotFoundError(`No booking with id: ${id}`);
+  }
+  return booking;
+};
+
+// The session window for a booking moved to startAt. Unassigned bookings must
+// land on a free slot; assigned ones must suit their photographer. Run it in
+// the transaction that saves the move, with the booking locked and nothing
+// else read yet: it locks the photographers it counts.
+const checkNewTime = async (booking, service, startAt, { transaction }) => {
+  if (!booking.photographerId) {
+    return assertSlotAvailable(service, startAt, { excludeBookingId: booking.id, transaction });
+  }
+
+  const window = sessionWindow(service, startAt);
+  if (window.start <= new Date()) {
+    throw new BadRequestError('Bookings must be in the future');
+  }
+  // Locking the photographer serialises this with assignments to them
+  await User.findByPk(booking.photographerId, { transaction, lock: transaction.LOCK.UPDATE });
+  await assertPhotographerAvailable(booking.photographerId, {
+    id: booking.id,
+    startAt: window.start,
+    endAt: window.end
+  }, { transaction });
+  return window;
+};
+
+// A booking moved to a new time gets a fresh reminder and completion check
+const RESCHEDULED = { reminderSentAt: null, completionFlaggedAt: null };
+
+// New start, end and service for a booking whose startAt or serviceId changes.
+// Only admins can move a booking once it is confirmed; clients send a
+// reschedule request instead.
+const timingChanges = async (booking, changes, user, { transaction }) => {
+  const movable = user.role === 'admin' ? ['pending', 'confirmed'] : ['pending'];
+  if (!movable.includes(booking.status)) {
+    const hint = booking.status === 'confirmed' ? '; send a reschedule request instead' : '';
+    throw new ConflictError(`A ${booking.status} booking cannot be moved${hint}`);
+  }
+
+  const service = await Service.findByPk(changes.serviceId ?? booking.serviceId);
+  if (!service) {
+    throw new NotFoundError('Service not found');
+  }
+
+  const timezone = studioTimezone();
+  const startAt = changes.startAt === undefined ? booking.startAt : parseDateTime(changes.startAt, timezone);
+  if (!startAt) {
+    throw new BadRequestError('startAt must be an ISO-8601 date-time, e.g. 2024-06-03T15:00:00Z');
+  }
+
+  const window = await checkNewTime(booking, service, startAt, { transaction });
+
+  return { serviceId: service.id, startAt: window.start, endAt: window.end, timezone, ...RESCHEDULED };
+};
+
+// Applies the fields the user's role may change, plus an optional status
+// change, and returns the booking with its associations
+const updateBooking = async (booking, body, user) => {
+  const changes = pickFields(body, BOOKING_UPDATABLE_FIELDS[user.role] || []);
+  const { status, note } = body;
+
+  if (Object.keys(changes).length === 0 && !status) {
+    throw new BadRequestError('Nothing to update');
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    if (changes.startAt !== undefined || changes.serviceId !== undefined) {
+      // The booking is locked before the photographers, as assignments do
+      await booking.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      Object.assign(changes, await timingChanges(booking, changes, user, { transaction }));
+    }
+
+    if (status && status !== booking.status) {
+      await transitionBooking(booking, status, user, { changes, note, transaction });
+    } else {
+      await booking.update(changes, { transaction });
+    }
+  });
+
+  return booking.reload({ include: bookingIncludes });
+};
+
 /**
  * @swagger
  * /api/bookings:
  *   post:
  *     summary: Create a booking
- *     description: Create a new photography session booking
+ *     description: |
+ *       Create a new photography session booking. Logging in is optional:
+ *       without a token the booking is made as a guest, phoneNumber is also
+ *       required, and a magic link to view or cancel it is emailed to the
+ *       guest. Guest bookings join the client's account once they register
+ *       and verify the same email address. Each IP can make 3 guest bookings
+ *       an hour, and services that take a deposit need an account.
  *     tags: [Bookings]
  *     security:
+ *       - {}
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
@@ -330,8 +707,7 @@ const router = express.Router();
  *               - fullName
  *               - email
  *               - serviceId
- *               - date
- *               - time
+ *               - startAt
  *               - location
  *             properties:
  *               fullName:
@@ -347,13 +723,14 @@ const router = express.Router();
  *               serviceId:
  *                 type: integer
  *                 description: ID of the service to book
- *               date:
- *                 type: string
- *                 format: date
- *                 description: Preferred date (YYYY-MM-DD)
- *               time:
+ *               startAt:
  *                 type: string
- *                 description: Preferred time
+ *                 format: date-time
+ *                 description: |
+ *                   Session start as ISO-8601, e.g. "2024-06-03T15:00:00Z". Without an
+ *                   offset it is read in the studio timezone. Must be a slot from
+ *                   GET /api/services/{id}/availability; the end is computed from the
+ *                   service duration.
  *               location:
  *                 type: string
  *                 description: Session location or venue
@@ -364,32 +741,65 @@ const router = express.Router();
  *       201:
  *         description: Booking created successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid or unknown fields, past startAt or unknown service
  *       401:
- *         description: Unauthorized
+ *         description: Invalid token, or a guest booking a service that takes a deposit
+ *       403:
+ *         description: Client has not verified their email address
+ *       409:
+ *         description: No photographer is available at that time
+ *       429:
+ *         description: Too many guest bookings from this IP
  */
-router.post('/', auth, async (req, res) => {
-  try {
-    // Check if the service exists
-    const service = await Service.findByPk(req.body.serviceId);
-    if (!service) {
-      return res.status(404).json({ success: false, message: 'Service not found' });
-    }
+router.post('/', optionalAuth, guestBookingLimiter, verifiedEmailRequired, validateCreateBooking, async (req, res) => {
+  // Check if the service exists
+  const service = await Service.findByPk(req.body.serviceId);
+  if (!service) {
+    return res.status(404).json({ success: false, message: 'Service not found' });
+  }
+  
+  // Deposits are paid from a client account, so a guest booking for such a
+  // service could never be confirmed
+  if (!req.user && service.depositAmount > 0) {
+    throw new UnauthenticatedError('Please log in to book a service that takes a deposit');
+  }
 
-    // Get client ID from the authenticated user or from request body
-    const clientId = req.user.role === 'client' ? req.user.userId : req.body.clientId;
-    
-    // Create booking with serviceId instead of sessionType
-    const booking = await Booking.create({
-      ...req.body,
-      clientId,
-    });
-    
-    res.status(201).json({ booking });
-  } catch (error) {
-    console.error('Error creating booking:', error);
-    res.status(500).json({ success: false, message: error.message });
+  const timezone = studioTimezone();
+  const startAt = parseDateTime(req.body.startAt, timezone);
+  if (!startAt) {
+    throw new BadRequestError('startAt must be an ISO-8601 date-time, e.g. 2024-06-03T15:00:00Z');
+  }
+
+  // Admins can book on behalf of a client; everyone else books for themselves.
+  // Guests have no account yet and are reached through the contact details.
+  const fields = pickFields(req.body, BOOKING_CREATE_FIELDS);
+  let guest = null;
+  if (req.user) {
+    fields.clientId = req.user.role === 'admin' && req.body.clientId ? req.body.clientId : req.user.userId;
+  } else {
+    guest = newGuestToken();
+    fields.guestAccessTokenHash = guest.tokenHash;
   }
+
+  // Every booking starts out pending; status only changes through the state machine
+  const booking = await sequelize.transaction(async (transaction) => {
+    // Only times a photographer could actually take are accepted. The check
+    // holds the photographers until this booking is saved, so concurrent
+    // requests cannot both take the last free one.
+    const window = await assertSlotAvailable(service, startAt, { transaction });
+    const created = await Booking.create({
+      ...fields,
+      startAt: window.start,
+      endAt: window.end,
+      timezone,
+      status: 'pending'
+    }, { transaction });
+    await recordBookingCreated(created, req.user || GUEST_ACTOR, { transaction });
+    notifyBookingAfterCommit(transaction, 'booking_created', created, guest && { link: guestBookingUrl(guest.token) });
+    return created;
+  });
+  
+  res.status(201).json({ booking });
 });
 
 /**
@@ -397,45 +807,45 @@ router.post('/', auth, async (req, res) => {
  * /api/bookings/my-bookings:
  *   get:
  *     summary: Get client's bookings
- *     description: Retrieve all bookings made by the authenticated client
+ *     description: A page of the bookings made by the authenticated client, latest first by default
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookingPage'
+ *       - $ref: '#/components/parameters/BookingLimit'
+ *       - $ref: '#/components/parameters/BookingStatusFilter'
+ *       - $ref: '#/components/parameters/BookingFromFilter'
+ *       - $ref: '#/components/parameters/BookingToFilter'
+ *       - $ref: '#/components/parameters/BookingServiceFilter'
+ *       - $ref: '#/components/parameters/BookingPhotographerFilter'
+ *       - $ref: '#/components/parameters/BookingSort'
  *     responses:
  *       200:
- *         description: List of client's bookings
+ *         description: Page of the client's bookings
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 bookings:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Booking'
- *                 count:
- *                   type: integer
+ *               $ref: '#/components/schemas/BookingPage'
+ *       400:
+ *         description: Invalid filter, sort or page
  *       401:
  *         description: Unauthorized
  */
 router.get('/my-bookings', auth, async (req, res) => {
-  try {
-    const bookings = await Booking.findAll({
-      where: { clientId: req.user.userId },
-      include: [
-        {
-          model: Service,
-          as: 'service',
-          attributes: ['name', 'description', 'price', 'duration']
-        }
-      ]
-    });
-    
-    res.status(200).json({ bookings });
-  } catch (error) {
-    console.error('Error fetching bookings:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+  const result = await listBookings(req.query, {
+    scope: { clientId: req.user.userId },
+    include: [
+      {
+        model: Service,
+        as: 'service',
+        attributes: ['name', 'description', 'price', 'durationMinutes']
+      },
+      { model: User, as: 'photographer', attributes: ['id', 'username', 'email'] }
+    ]
+  });
+  
+  res.status(StatusCodes.OK).json(result);
 });
 
 /**
@@ -469,12 +879,12 @@ router.get('/my-bookings', auth, async (req, res) => {
  *       404:
  *         description: Booking not found
  */
-router.get('/my-bookings/:id', auth, async (req, res) => {
+router.get('/my-bookings/:id', auth, validateBookingId, async (req, res) => {
   const { id: bookingId } = req.params;
   const booking = await Booking.findOne({
-    _id: bookingId,
-    client: req.user.userId,
-  }).populate('assignedPhotographer', 'name email');
+    where: { id: bookingId, clientId: req.user.userId },
+    include: bookingIncludes
+  });
   
   if (!booking) {
     throw new NotFoundError(`No booking with id: ${bookingId}`);
@@ -505,11 +915,16 @@ router.get('/my-bookings/:id', auth, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               date:
+ *               fullName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phoneNumber:
  *                 type: string
- *                 format: date
- *               time:
+ *               startAt:
  *                 type: string
+ *                 format: date-time
+ *                 description: New start, only while the booking is pending. Must be a free slot.
  *               location:
  *                 type: string
  *               additionalDetails:
@@ -522,33 +937,17 @@ router.get('/my-bookings/:id', auth, async (req, res) => {
  *       200:
  *         description: Booking updated successfully
  *       400:
- *         description: Invalid input or operation not allowed
+ *         description: Invalid input, a field the role may not change, or nothing to update
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Status change not allowed, or the booking cannot move to that time
  */
-router.patch('/my-bookings/:id', auth, async (req, res) => {
-  const { id: bookingId } = req.params;
-  const booking = await Booking.findOne({
-    _id: bookingId,
-    client: req.user.userId,
-  });
-  
-  if (!booking) {
-    throw new NotFoundError(`No booking with id: ${bookingId}`);
-  }
-  
-  // Only allow cancellations and updates to non-status fields for clients
-  if (req.body.status && req.body.status !== 'cancelled') {
-    throw new BadRequestError('Clients can only cancel bookings');
-  }
-  
-  const updatedBooking = await Booking.findOneAndUpdate(
-    { _id: bookingId, client: req.user.userId },
-    req.body,
-    { new: true, runValidators: true }
-  ).populate('assignedPhotographer', 'name email');
+router.patch('/my-bookings/:id', auth, validateUpdateBooking, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, { clientId: req.user.userId });
+  const updatedBooking = await updateBooking(booking, req.body, req.user);
   
   res.status(StatusCodes.OK).json({ booking: updatedBooking });
 });
@@ -558,38 +957,39 @@ router.patch('/my-bookings/:id', auth, async (req, res) => {
  * /api/bookings/photographer:
  *   get:
  *     summary: Get photographer's assigned bookings
- *     description: Retrieve all bookings assigned to the authenticated photographer
+ *     description: A page of the bookings assigned to the authenticated photographer, soonest first by default
  *     tags: [Photographer Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookingPage'
+ *       - $ref: '#/components/parameters/BookingLimit'
+ *       - $ref: '#/components/parameters/BookingStatusFilter'
+ *       - $ref: '#/components/parameters/BookingAwaitingCompletionFilter'
+ *       - $ref: '#/components/parameters/BookingFromFilter'
+ *       - $ref: '#/components/parameters/BookingToFilter'
+ *       - $ref: '#/components/parameters/BookingServiceFilter'
+ *       - $ref: '#/components/parameters/BookingClientFilter'
+ *       - $ref: '#/components/parameters/BookingSort'
  *     responses:
  *       200:
- *         description: List of assigned bookings
+ *         description: Page of assigned bookings
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 bookings:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Booking'
- *                 count:
- *                   type: integer
+ *               $ref: '#/components/schemas/BookingPage'
+ *       400:
+ *         description: Invalid filter, sort or page
  *       401:
  *         description: Unauthorized - photographer access required
  */
 router.get('/photographer', auth, photographerOrAdmin, async (req, res) => {
-  try {
-    const bookings = await Booking.findAll({
-      where: { photographerId: req.user.userId }
-    });
-    
-    res.status(200).json({ bookings });
-  } catch (error) {
-    console.error('Error fetching photographer bookings:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+  const result = await listBookings(req.query, {
+    scope: { photographerId: req.user.userId },
+    defaultSort: 'startAt:asc'
+  });
+  
+  res.status(StatusCodes.OK).json(result);
 });
 
 /**
@@ -610,18 +1010,27 @@ router.get('/photographer', auth, photographerOrAdmin, async (req, res) => {
  *         description: Photographer's user ID
  *     responses:
  *       200:
- *         description: List of bookings for the specified photographer
+ *         description: List of bookings for the specified photographer, soonest first
+ *       400:
+ *         description: Invalid photographer id
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - admin access required
+ *       404:
+ *         description: Photographer not found
  */
-router.get('/photographer/:id', auth, adminOnly, async (req, res) => {
-  const photographerId = req.params.id;
+router.get('/photographer/:id', auth, adminOnly, validatePhotographerId, async (req, res) => {
+  const photographer = await User.findByPk(req.params.id);
+  if (!photographer || photographer.role !== 'photographer') {
+    throw new NotFoundError(`No photographer with id ${req.params.id}`);
+  }
   
-  const bookings = await Booking.find({ assignedPhotographer: photographerId })
-    .sort('date')
-    .populate('client', 'name email phoneNumber');
+  const bookings = await Booking.findAll({
+    where: { photographerId: photographer.id },
+    include: bookingIncludes,
+    order: [['startAt', 'ASC']]
+  });
   
   res.status(StatusCodes.OK).json({ bookings, count: bookings.length });
 });
@@ -631,26 +1040,38 @@ router.get('/photographer/:id', auth, adminOnly, async (req, res) => {
  * /api/bookings/all:
  *   get:
  *     summary: Get all bookings
- *     description: Admin endpoint to view all bookings in the system
+ *     description: Admin endpoint to page through every booking in the system, latest first by default
  *     tags: [Admin Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookingPage'
+ *       - $ref: '#/components/parameters/BookingLimit'
+ *       - $ref: '#/components/parameters/BookingStatusFilter'
+ *       - $ref: '#/components/parameters/BookingAwaitingCompletionFilter'
+ *       - $ref: '#/components/parameters/BookingFromFilter'
+ *       - $ref: '#/components/parameters/BookingToFilter'
+ *       - $ref: '#/components/parameters/BookingServiceFilter'
+ *       - $ref: '#/components/parameters/BookingPhotographerFilter'
+ *       - $ref: '#/components/parameters/BookingClientFilter'
+ *       - $ref: '#/components/parameters/BookingSort'
  *     responses:
  *       200:
- *         description: List of all bookings
+ *         description: Page of bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingPage'
+ *       400:
+ *         description: Invalid filter, sort or page
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - admin access required
  */
 router.get('/all', auth, adminOnly, async (req, res) => {
-  try {
-    const bookings = await Booking.findAll();
-    res.status(200).json({ bookings });
-  } catch (error) {
-    console.error('Error fetching all bookings:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+  const result = await listBookings(req.query);
+  res.status(StatusCodes.OK).json(result);
 });
 
 /**
@@ -685,31 +1106,56 @@ router.get('/all', auth, adminOnly, async (req, res) => {
  *       200:
  *         description: Photographer assigned successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input, or the user is not a photographer
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - admin access required
  *       404:
- *         description: Booking or photographer not found
+ *         description: Booking not found
+ *       409:
+ *         description: Photographer is outside working hours, on time off or already booked
  */
-router.patch('/:id/assign', auth, adminOnly, async (req, res) => {
-  try {
-    const booking = await Booking.findByPk(req.params.id);
+router.patch('/:id/assign', auth, adminOnly, validateAssignPhotographer, async (req, res) => {
+  const { photographerId } = req.body;
+  
+  const booking = await sequelize.transaction(async (transaction) => {
+    const found = await Booking.findByPk(req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!found) {
+      return null;
+    }
     
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
+    if (found.status !== 'pending' && found.status !== 'confirmed') {
+      throw new ConflictError(`Cannot assign a photographer to a ${found.status} booking`);
     }
     
-    booking.photographerId = req.body.photographerId;
-    booking.status = 'confirmed';
-    await booking.save();
+    // Locking the photographer serialises concurrent assignments to them
+    const photographer = await User.findByPk(photographerId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!photographer || photographer.role !== 'photographer') {
+      throw new BadRequestError(`No photographer with id ${photographerId}`);
+    }
+    await assertPhotographerAvailable(photographer.id, found, { transaction });
+    notifyBookingAfterCommit(transaction, 'photographer_assigned', found);
     
-    res.status(200).json({ success: true, message: 'Photographer assigned successfully', booking });
-  } catch (error) {
-    console.error('Error assigning photographer:', error);
-    res.status(500).json({ success: false, message: error.message });
+    // Assigning confirms a pending booking once any deposit is paid; until then
+    // the photographer is held and the payment confirms it. On a confirmed
+    // booking it just swaps the photographer.
+    if (found.status === 'pending' && !(await depositOutstanding(found, { transaction }))) {
+      return transitionBooking(found, 'confirmed', req.user, {
+        changes: { photographerId: photographer.id },
+        note: `Photographer ${photographer.id} assigned`,
+        transaction
+      });
+    }
+    found.photographerId = photographer.id;
+    return found.save({ transaction });
+  });
+  
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
   }
+  
+  res.status(200).json({ success: true, message: 'Photographer assigned successfully', booking });
 });
 
 /**
@@ -717,7 +1163,11 @@ router.patch('/:id/assign', auth, adminOnly, async (req, res) => {
  * /api/bookings/{id}:
  *   put:
  *     summary: Update booking
- *     description: Update a booking with role-based restrictions
+ *     description: |
+ *       Update a booking with role-based restrictions. Clients can edit their own
+ *       bookings, photographers the bookings assigned to them, admins any booking.
+ *       A field the caller's role may not change is refused with 400 and nothing
+ *       is saved.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -737,19 +1187,32 @@ router.patch('/:id/assign', auth, adminOnly, async (req, res) => {
  *               status:
  *                 type: string
  *                 description: |
- *                   - Clients can only set to 'cancelled'
- *                   - Photographers can set to 'confirmed' or 'completed'
- *                   - Admins can set to any status
+ *                   Moves the booking through the status transitions allowed for
+ *                   the caller's role (see PATCH /api/bookings/{id}/status)
+ *               note:
+ *                 type: string
+ *                 description: Reason for a status change, kept in the history
  *               additionalDetails:
  *                 type: string
  *                 description: Additional notes or information
- *               date:
+ *               fullName:
+ *                 type: string
+ *                 description: Client or admin only
+ *               email:
+ *                 type: string
+ *                 description: Client or admin only
+ *               phoneNumber:
  *                 type: string
- *                 format: date
- *                 description: Booking date (client or admin only)
- *               time:
+ *                 description: Client or admin only
+ *               startAt:
  *                 type: string
- *                 description: Booking time (client or admin only)
+ *                 format: date-time
+ *                 description: |
+ *                   New start (client or admin only). Clients can only move pending
+ *                   bookings; admins can also move confirmed ones.
+ *               serviceId:
+ *                 type: integer
+ *                 description: Admin only
  *               location:
  *                 type: string
  *                 description: Session location (client or admin only)
@@ -757,60 +1220,17 @@ router.patch('/:id/assign', auth, adminOnly, async (req, res) => {
  *       200:
  *         description: Booking updated successfully
  *       400:
- *         description: Invalid input or operation not allowed
+ *         description: Invalid input, a field the caller's role may not change, or nothing to update
  *       401:
  *         description: Unauthorized
  *       404:
- *         description: Booking not found
+ *         description: Booking not found, or not one the user may edit
+ *       409:
+ *         description: Status change not allowed, or the booking cannot move to that time
  */
-router.put('/:id', auth, async (req, res) => {
-  const { id: bookingId } = req.params;
-  let booking;
-  
-  // Different queries based on user role
-  if (req.user.role === 'client') {
-    booking = await Booking.findOne({
-      _id: bookingId,
-      client: req.user.userId
-    });
-    
-    // Clients can't update status (except cancellation)
-    if (req.body.status && req.body.status !== 'cancelled') {
-      throw new BadRequestError('Clients can only cancel bookings');
-    }
-  } else if (req.user.role === 'photographer') {
-    booking = await Booking.findOne({
-      _id: bookingId,
-      assignedPhotographer: req.user.userId
-    });
-    
-    // Photographers can only update status to confirmed or completed
-    if (req.body.status && !['confirmed', 'completed'].includes(req.body.status)) {
-      throw new BadRequestError('Photographers can only confirm or complete bookings');
-    }
-    
-    // Photographers can only update status and additionalDetails
-    const allowedFields = ['status', 'additionalDetails'];
-    Object.keys(req.body).forEach(key => {
-      if (!allowedFields.includes(key)) {
-        delete req.body[key];
-      }
-    });
-  } else if (req.user.role === 'admin') {
-    // Admins can update any booking
-    booking = await Booking.findById(bookingId);
-  }
-  
-  if (!booking) {
-    throw new NotFoundError(`No booking with id: ${bookingId}`);
-  }
-  
-  const updatedBooking = await Booking.findByIdAndUpdate(
-    bookingId,
-    req.body,
-    { new: true, runValidators: true }
-  ).populate('client', 'name email phoneNumber')
-   .populate('assignedPhotographer', 'name email');
+router.put('/:id', auth, validateUpdateBooking, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, ownedBy(req.user));
+  const updatedBooking = await updateBooking(booking, req.body, req.user);
   
   res.status(StatusCodes.OK).json({ booking: updatedBooking });
 });
@@ -820,7 +1240,12 @@ router.put('/:id', auth, async (req, res) => {
  * /api/bookings/{id}:
  *   delete:
  *     summary: Cancel booking
- *     description: Cancel a booking (sets status to 'cancelled')
+ *     description: |
+ *       Cancel a booking (sets status to 'cancelled'). Clients can cancel their
+ *       own bookings, photographers confirmed bookings assigned to them, admins
+ *       any booking that is still pending or confirmed. Cancelling a confirmed
+ *       booking inside the service's free cancellation window charges its late
+ *       cancellation fee, unless the photographer cancels.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -831,110 +1256,878 @@ router.put('/:id', auth, async (req, res) => {
  *         schema:
  *           type: integer
  *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Kept in the booking history
+ *               waiveFee:
+ *                 type: boolean
+ *                 description: Admin only. Cancel without charging the fee.
  *     responses:
  *       200:
  *         description: Booking cancelled successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Booking cancelled successfully"
+ *               booking:
+ *                 id: 1
+ *                 status: "cancelled"
+ *               cancellationFee:
+ *                 amount: "750.00"
+ *                 reason: "late_cancellation"
+ *                 waived: false
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: The booking cannot be cancelled from its current status
  */
-router.delete('/:id', auth, async (req, res) => {
-  const { id: bookingId } = req.params;
-  let booking;
-  
-  // Different queries based on user role
-  if (req.user.role === 'client') {
-    booking = await Booking.findOne({
-      _id: bookingId,
-      client: req.user.userId
-    });
-  } else if (req.user.role === 'photographer') {
-    booking = await Booking.findOne({
-      _id: bookingId,
-      assignedPhotographer: req.user.userId
-    });
-  } else if (req.user.role === 'admin') {
-    // Admins can cancel any booking
-    booking = await Booking.findById(bookingId);
-  }
-  
-  if (!booking) {
-    throw new NotFoundError(`No booking with id: ${bookingId}`);
-  }
+router.delete('/:id', auth, validateCancelBooking, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, ownedBy(req.user));
+  const waive = req.user.role === 'admin' && req.body?.waiveFee === true;
   
-  booking.status = 'cancelled';
-  await booking.save();
+  await sequelize.transaction(async (transaction) => {
+    await transitionBooking(booking, 'cancelled', req.user, { note: req.body?.reason, transaction });
+    if (waive && Number(booking.cancellationFee) > 0) {
+      await waiveCancellationFee(booking, req.user, { transaction });
+    }
+  });
   
   res.status(StatusCodes.OK).json({ 
     message: 'Booking cancelled successfully',
-    booking 
+    booking: await booking.reload({ include: bookingIncludes }),
+    cancellationFee: cancellationFeeSummary(booking)
   });
 });
 
-// Get available bookings for photographers
-router.get('/available', auth, photographerOrAdmin, async (req, res) => {
-  try {
-    const bookings = await Booking.findAll({
-      where: { 
-        photographerId: null,
-        status: 'pending'
-      }
-    });
-    
-    res.status(200).json({ bookings });
-  } catch (error) {
-    console.error('Error fetching available bookings:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+/**
+ * @swagger
+ * /api/bookings/guest/{token}:
+ *   get:
+ *     summary: View a guest booking
+ *     description: |
+ *       For guests who booked without an account, using the token from the
+ *       magic link they were emailed. No login needed.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The booking
+ *       400:
+ *         description: Malformed token
+ *       404:
+ *         description: Invalid token
+ *   delete:
+ *     summary: Cancel a guest booking
+ *     description: |
+ *       Cancels the booking the magic link belongs to, on the same terms as a
+ *       client cancelling their own booking, including any cancellation fee.
+ *     tags: [Bookings]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking cancelled
+ *       400:
+ *         description: Malformed token or invalid reason
+ *       404:
+ *         description: Invalid token
+ *       409:
+ *         description: The booking cannot be cancelled from its current status
+ */
+router.get('/guest/:token', validateGuestToken, async (req, res) => {
+  const booking = await findGuestBooking(req.params.token, { include: bookingIncludes });
+  res.status(StatusCodes.OK).json({ booking });
 });
 
-// Photographer accepts booking
-router.patch('/:id/accept', auth, photographerOrAdmin, async (req, res) => {
-  try {
-    const booking = await Booking.findByPk(req.params.id);
-    
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
-    }
-    
-    if (booking.photographerId) {
-      return res.status(400).json({ success: false, message: 'Booking already assigned to a photographer' });
-    }
-    
-    booking.photographerId = req.user.userId;
-    booking.status = 'confirmed';
-    
-    if (req.body.additionalDetails) {
-      booking.additionalDetails = booking.additionalDetails + '\n\nPhotographer note: ' + req.body.additionalDetails;
-    }
-    
-    await booking.save();
-    
-    res.status(200).json({ success: true, message: 'Booking accepted successfully', booking });
-  } catch (error) {
-    console.error('Error accepting booking:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+router.delete('/guest/:token', validateGuestCancel, async (req, res) => {
+  const booking = await findGuestBooking(req.params.token);
+  
+  await transitionBooking(booking, 'cancelled', GUEST_ACTOR, { note: req.body?.reason });
+  
+  res.status(StatusCodes.OK).json({
+    message: 'Booking cancelled successfully',
+    booking: await booking.reload({ include: bookingIncludes }),
+    cancellationFee: cancellationFeeSummary(booking)
+  });
 });
 
-// Admin updates booking status
-router.patch('/:id/status', auth, adminOnly, async (req, res) => {
-  try {
-    const booking = await Booking.findByPk(req.params.id);
-    
-    if (!booking) {
-      return res.status(404).json({ success: false, message: 'Booking not found' });
-    }
-    
-    booking.status = req.body.status;
-    await booking.save();
-    
-    res.status(200).json({ success: true, message: 'Booking status updated successfully', booking });
-  } catch (error) {
-    console.error('Error updating booking status:', error);
-    res.status(500).json({ success: false, message: error.message });
-  }
+/**
+ * @swagger
+ * /api/bookings/{id}/cancellation-quote:
+ *   get:
+ *     summary: What cancelling a booking now would cost
+ *     description: |
+ *       For anyone who can cancel the booking. Shows the fee the caller would
+ *       be charged by DELETE /api/bookings/{id} right now, and until when
+ *       cancelling is free.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cancellation terms
+ *         content:
+ *           application/json:
+ *             example:
+ *               fee: "750.00"
+ *               percent: 50
+ *               reason: "late_cancellation"
+ *               freeUntil: "2023-11-29T15:30:00.000Z"
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/cancellation-quote', auth, validateBookingId, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, ownedBy(req.user));
+  const service = await Service.findByPk(booking.serviceId);
+  
+  const terms = cancellationTerms(booking, service, { actor: req.user });
+  
+  res.status(StatusCodes.OK).json({ ...terms, fee: terms.fee.toFixed(2) });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancellation-fee/waive:
+ *   patch:
+ *     summary: Waive a cancellation or no-show fee
+ *     description: Admin only. Recorded in the booking history.
+ *     tags: [Admin Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fee waived
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The booking has no fee, or it was already waived
+ */
+router.patch('/:id/cancellation-fee/waive', auth, adminOnly, validateWaiveFee, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, {});
+  
+  if (!(Number(booking.cancellationFee) > 0)) {
+    throw new ConflictError('This booking has no cancellation fee');
+  }
+  if (booking.cancellationFeeWaivedAt) {
+    throw new ConflictError('The cancellation fee has already been waived');
+  }
+  
+  await sequelize.transaction(transaction => waiveCancellationFee(booking, req.user, {
+    note: req.body.note,
+    transaction
+  }));
+  
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Cancellation fee waived',
+    cancellationFee: cancellationFeeSummary(booking)
+  });
+});
+
+/**
+ * @swagger
+ * /api/bookings/available:
+ *   get:
+ *     summary: Get bookings waiting for a photographer
+ *     description: A page of pending bookings with no photographer assigned, soonest first by default
+ *     tags: [Photographer Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookingPage'
+ *       - $ref: '#/components/parameters/BookingLimit'
+ *       - $ref: '#/components/parameters/BookingFromFilter'
+ *       - $ref: '#/components/parameters/BookingToFilter'
+ *       - $ref: '#/components/parameters/BookingServiceFilter'
+ *       - $ref: '#/components/parameters/BookingClientFilter'
+ *       - $ref: '#/components/parameters/BookingSort'
+ *     responses:
+ *       200:
+ *         description: Page of unassigned bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookingPage'
+ *       400:
+ *         description: Invalid filter, sort or page
+ *       401:
+ *         description: Unauthorized - photographer access required
+ */
+router.get('/available', auth, photographerOrAdmin, async (req, res) => {
+  const result = await listBookings(req.query, {
+    scope: { photographerId: null, status: 'pending' },
+    defaultSort: 'startAt:asc'
+  });
+  
+  res.status(StatusCodes.OK).json(result);
+});
+
+// Photographer accepts booking
+router.patch('/:id/accept', auth, photographerOrAdmin, validateAcceptBooking, async (req, res) => {
+  const booking = await sequelize.transaction(async (transaction) => {
+    const found = await Booking.findByPk(req.params.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!found) {
+      return null;
+    }
+    
+    if (found.photographerId) {
+      throw new BadRequestError('Booking already assigned to a photographer');
+    }
+    if (found.status !== 'pending') {
+      throw new ConflictError(`Cannot accept a ${found.status} booking`);
+    }
+    
+    await User.findByPk(req.user.userId, { transaction, lock: transaction.LOCK.UPDATE });
+    await assertPhotographerAvailable(req.user.userId, found, { transaction });
+    
+    const changes = { photographerId: req.user.userId };
+    if (req.body.additionalDetails) {
+      changes.additionalDetails = (found.additionalDetails || '') + '\n\nPhotographer note: ' + req.body.additionalDetails;
+    }
+    
+    // With a deposit still to pay the booking stays pending until the payment arrives
+    if (await depositOutstanding(found, { transaction })) {
+      found.set(changes);
+      return found.save({ transaction });
+    }
+    
+    return transitionBooking(found, 'confirmed', req.user, {
+      changes,
+      note: 'Accepted by photographer',
+      transaction
+    });
+  });
+  
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+  
+  res.status(200).json({ success: true, message: 'Booking accepted successfully', booking });
+});
+
+// Admin updates booking status
+router.patch('/:id/status', auth, adminOnly, validateBookingStatus, async (req, res) => {
+  const booking = await Booking.findByPk(req.params.id);
+  
+  if (!booking) {
+    return res.status(404).json({ success: false, message: 'Booking not found' });
+  }
+  
+  await transitionBooking(booking, req.body.status, req.user, { note: req.body.note });
+  
+  res.status(200).json({ success: true, message: 'Booking status updated successfully', booking });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/history:
+ *   get:
+ *     summary: Get booking status history
+ *     description: |
+ *       Every status change of the booking, oldest first. Visible to admins, the
+ *       booking's client and its assigned photographer.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Status history
+ *         content:
+ *           application/json:
+ *             example:
+ *               history:
+ *                 - fromStatus: null
+ *                   toStatus: "pending"
+ *                   changedBy: 3
+ *                   changedByRole: "client"
+ *                   note: null
+ *                   createdAt: "2023-05-20T09:15:00.000Z"
+ *                 - fromStatus: "pending"
+ *                   toStatus: "confirmed"
+ *                   changedBy: 1
+ *                   changedByRole: "admin"
+ *                   note: "Photographer 2 assigned"
+ *                   createdAt: "2023-05-21T11:00:00.000Z"
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/history', auth, validateBookingId, async (req, res) => {
+  const booking = await Booking.findByPk(req.params.id);
+  
+  const canView = booking && (
+    req.user.role === 'admin'
+    || booking.clientId === req.user.userId
+    || booking.photographerId === req.user.userId
+  );
+  if (!canView) {
+    throw new NotFoundError(`No booking with id: ${req.params.id}`);
+  }
+  
+  const history = await BookingStatusHistory.findAll({
+    where: { bookingId: booking.id },
+    attributes: ['fromStatus', 'toStatus', 'changedBy', 'changedByRole', 'note', 'createdAt'],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+  
+  res.status(StatusCodes.OK).json({ history });
+});
+
+// Locks the booking and one of its reschedule requests that is still waiting
+// for an answer. Admins can answer for any booking, photographers for their own.
+const findOpenRescheduleRequest = async (req, transaction) => {
+  const scope = req.user.role === 'admin' ? {} : { photographerId: req.user.userId };
+  const booking = await Booking.findOne({
+    where: { id: req.params.id, ...scope },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!booking) {
+    throw new NotFoundError(`No booking with id: ${req.params.id}`);
+  }
+
+  const request = await BookingRescheduleRequest.findOne({
+    where: { id: req.params.requestId, bookingId: booking.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!request) {
+    throw new NotFoundError(`No reschedule request with id ${req.params.requestId}`);
+  }
+  if (request.status !== 'pending') {
+    throw new ConflictError(`Reschedule request ${request.id} has already been ${request.status}`);
+  }
+  return { booking, request };
+};
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule-requests:
+ *   post:
+ *     summary: Ask to move a booking to a new time
+ *     description: |
+ *       For the booking's client, while the booking is pending or confirmed and
+ *       has no other request waiting. The new time is checked for availability
+ *       now and again when the photographer or an admin accepts it. startAt
+ *       without a Z or offset is read in the studio timezone.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startAt
+ *             properties:
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request sent
+ *       400:
+ *         description: startAt missing, unreadable or in the past
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The booking cannot be moved, already has a request waiting, or the time is not available
+ *   get:
+ *     summary: List a booking's reschedule requests
+ *     description: For admins, the booking's client and its assigned photographer. Newest first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reschedule requests
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:id/reschedule-requests', auth, validateRescheduleRequest, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, { clientId: req.user.userId });
+  
+  if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+    throw new ConflictError(`A ${booking.status} booking cannot be rescheduled`);
+  }
+  
+  const startAt = parseDateTime(req.body.startAt, studioTimezone());
+  if (!startAt) {
+    throw new BadRequestError('startAt must be an ISO-8601 date-time, e.g. 2024-06-03T15:00:00Z');
+  }
+  
+  const service = await Service.findByPk(booking.serviceId);
+  if (!service) {
+    throw new NotFoundError('Service not found');
+  }
+  
+  const rescheduleRequest = await sequelize.transaction(async (transaction) => {
+    await booking.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    const window = await checkNewTime(booking, service, startAt, { transaction });
+    
+    const waiting = await BookingRescheduleRequest.findOne({
+      where: { bookingId: booking.id, status: 'pending' },
+      transaction
+    });
+    if (waiting) {
+      throw new ConflictError(`Reschedule request ${waiting.id} is still waiting for an answer`);
+    }
+    
+    return BookingRescheduleRequest.create({
+      bookingId: booking.id,
+      requestedBy: req.user.userId,
+      startAt: window.start,
+      endAt: window.end,
+      reason: req.body.reason || null
+    }, { transaction });
+  });
+  
+  res.status(StatusCodes.CREATED).json({ rescheduleRequest });
+});
+
+router.get('/:id/reschedule-requests', auth, validateBookingId, async (req, res) => {
+  const scope = req.user.role === 'admin'
+    ? {}
+    : { [Op.or]: [{ clientId: req.user.userId }, { photographerId: req.user.userId }] };
+  const booking = await findOwnedBooking(req.params.id, scope);
+  
+  const rescheduleRequests = await BookingRescheduleRequest.findAll({
+    where: { bookingId: booking.id },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+  
+  res.status(StatusCodes.OK).json({ rescheduleRequests, count: rescheduleRequests.length });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule-requests/{requestId}/accept:
+ *   patch:
+ *     summary: Accept a reschedule request
+ *     description: |
+ *       For the booking's photographer or an admin. Availability is checked
+ *       again; when the time is still free the booking moves there, its old
+ *       slot is released and the move is recorded in the booking history.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking moved
+ *       404:
+ *         description: Booking or request not found
+ *       409:
+ *         description: Request already answered, booking closed, or the time is no longer available
+ */
+router.patch('/:id/reschedule-requests/:requestId/accept', auth, photographerOrAdmin, validateRescheduleResponse, async (req, res) => {
+  const { booking, request } = await sequelize.transaction(async (transaction) => {
+    const found = await findOpenRescheduleRequest(req, transaction);
+    
+    if (found.booking.status !== 'pending' && found.booking.status !== 'confirmed') {
+      throw new ConflictError(`A ${found.booking.status} booking cannot be rescheduled`);
+    }
+    // Read outside the transaction, which must not read before checkNewTime locks
+    const service = await Service.findByPk(found.booking.serviceId);
+    if (!service) {
+      throw new NotFoundError('Service not found');
+    }
+    
+    const window = await checkNewTime(found.booking, service, found.request.startAt, { transaction });
+    
+    const previousStart = found.booking.startAt;
+    await found.booking.update({ startAt: window.start, endAt: window.end, ...RESCHEDULED }, { transaction });
+    await found.request.update({
+      status: 'accepted',
+      endAt: window.end,
+      respondedBy: req.user.userId,
+      respondedAt: new Date(),
+      responseNote: req.body.note || null
+    }, { transaction });
+    await recordBookingEvent(found.booking, req.user, {
+      note: `Rescheduled from ${previousStart.toISOString()} to ${window.start.toISOString()} (request ${found.request.id})`,
+      transaction
+    });
+    return found;
+  });
+  
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: 'Reschedule request accepted',
+    booking,
+    rescheduleRequest: request
+  });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule-requests/{requestId}/decline:
+ *   patch:
+ *     summary: Decline a reschedule request
+ *     description: For the booking's photographer or an admin. The booking keeps its time.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reason given to the client
+ *     responses:
+ *       200:
+ *         description: Request declined
+ *       404:
+ *         description: Booking or request not found
+ *       409:
+ *         description: Request already answered
+ */
+router.patch('/:id/reschedule-requests/:requestId/decline', auth, photographerOrAdmin, validateRescheduleResponse, async (req, res) => {
+  const { request } = await sequelize.transaction(async (transaction) => {
+    const found = await findOpenRescheduleRequest(req, transaction);
+    
+    await found.request.update({
+      status: 'declined',
+      respondedBy: req.user.userId,
+      respondedAt: new Date(),
+      responseNote: req.body.note || null
+    }, { transaction });
+    await recordBookingEvent(found.booking, req.user, {
+      note: `Reschedule request ${found.request.id} declined${req.body.note ? `: ${req.body.note}` : ''}`,
+      transaction
+    });
+    return found;
+  });
+  
+  res.status(StatusCodes.OK).json({ success: true, message: 'Reschedule request declined', rescheduleRequest: request });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule-requests/{requestId}:
+ *   delete:
+ *     summary: Withdraw a reschedule request
+ *     description: For the client who sent it, while it is still waiting for an answer.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Request withdrawn
+ *       404:
+ *         description: Booking or request not found
+ *       409:
+ *         description: Request already answered
+ */
+router.delete('/:id/reschedule-requests/:requestId', auth, validateRescheduleRequestId, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, { clientId: req.user.userId });
+  const request = await BookingRescheduleRequest.findOne({
+    where: { id: req.params.requestId, bookingId: booking.id }
+  });
+  
+  if (!request) {
+    throw new NotFoundError(`No reschedule request with id ${req.params.requestId}`);
+  }
+  if (request.status !== 'pending') {
+    throw new ConflictError(`Reschedule request ${request.id} has already been ${request.status}`);
+  }
+  
+  await request.update({ status: 'withdrawn' });
+  
+  res.status(StatusCodes.OK).json({ success: true, message: 'Reschedule request withdrawn', rescheduleRequest: request });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/payment-intent:
+ *   post:
+ *     summary: Pay the deposit for a booking
+ *     description: |
+ *       Starts a deposit payment with the payment provider, or returns the one
+ *       already waiting to be completed. The client app completes it with
+ *       clientSecret. Once the provider reports the payment, the booking is
+ *       confirmed if it has a photographer, or when one is assigned.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Payment waiting to be completed
+ *         content:
+ *           application/json:
+ *             example:
+ *               payment:
+ *                 id: 7
+ *                 bookingId: 1
+ *                 purpose: "deposit"
+ *                 provider: "stripe"
+ *                 amount: "375.00"
+ *                 currency: "usd"
+ *                 status: "pending"
+ *                 clientSecret: "pi_3Nx..._secret_..."
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found, or online payments are not set up
+ *       409:
+ *         description: The booking needs no deposit, has paid it, or is closed
+ */
+router.post('/:id/payment-intent', auth, validateBookingId, async (req, res) => {
+  const scope = req.user.role === 'admin' ? {} : { clientId: req.user.userId };
+  const booking = await findOwnedBooking(req.params.id, scope);
+  
+  const payment = await createDepositPayment(booking);
+  
+  res.status(StatusCodes.CREATED).json({
+    payment: {
+      id: payment.id,
+      bookingId: payment.bookingId,
+      purpose: payment.purpose,
+      provider: payment.provider,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      clientSecret: payment.clientSecret
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/invoice:
+ *   get:
+ *     summary: Get the invoice for a completed booking
+ *     description: |
+ *       JSON by default; a PDF with ?format=pdf or an Accept header of
+ *       application/pdf. For admins and the booking's client.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, pdf]
+ *     responses:
+ *       200:
+ *         description: The invoice
+ *         content:
+ *           application/json:
+ *             example:
+ *               invoice:
+ *                 id: 3
+ *                 number: "INV-000003"
+ *                 bookingId: 1
+ *                 studioName: "Photography Studio"
+ *                 studioAddress: "1 High Street, London"
+ *                 billToName: "John Client"
+ *                 billToEmail: "client@example.com"
+ *                 issuedAt: "2023-12-01T19:00:00.000Z"
+ *                 currency: "usd"
+ *                 taxLabel: "VAT"
+ *                 taxRate: "20.00"
+ *                 pricesIncludeTax: false
+ *                 subtotal: "1500.00"
+ *                 taxAmount: "300.00"
+ *                 total: "1800.00"
+ *                 amountPaid: "375.00"
+ *                 balanceDue: "1425.00"
+ *                 lineItems:
+ *                   - position: 1
+ *                     description: "Wedding Photography, 3h on 1 Dec 2023, 15:30"
+ *                     quantity: 1
+ *                     unitPrice: "1500.00"
+ *                     amount: "1500.00"
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The booking is not completed
+ */
+router.get('/:id/invoice', auth, validateBookingId, async (req, res) => {
+  const scope = req.user.role === 'admin' ? {} : { clientId: req.user.userId };
+  const booking = await findOwnedBooking(req.params.id, scope);
+  
+  if (booking.status !== 'completed') {
+    throw new ConflictError('Invoices are only issued for completed bookings');
+  }
+  
+  const invoice = await findOrIssueInvoice(booking);
+  
+  const wantsPdf = req.query.format === 'pdf'
+    || (!req.query.format && req.accepts(['application/json', 'application/pdf']) === 'application/pdf');
+  if (!wantsPdf) {
+    return res.status(StatusCodes.OK).json({ invoice });
+  }
+  
+  const pdf = await renderInvoicePdf(invoice);
+  res.status(StatusCodes.OK)
+    .type('application/pdf')
+    .set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`)
+    .send(pdf);
+});
+
+/**
+ * @swagger
+ * /api/bookings/{id}/calendar.ics:
+ *   get:
+ *     summary: Download a booking as an iCalendar event
+ *     description: |
+ *       An .ics file to add the session to a calendar, for anyone who can see
+ *       the booking. Pending bookings are marked tentative. For a calendar that
+ *       stays up to date, use a feed (see /api/calendar/feed).
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/calendar.ics', auth, validateBookingId, async (req, res) => {
+  const booking = await findOwnedBooking(req.params.id, ownedBy(req.user));
+  await booking.reload({ include: calendarIncludes });
+  
+  res.status(StatusCodes.OK)
+    .type('text/calendar; charset=utf-8')
+    .set('Content-Disposition', `attachment; filename="booking-${booking.id}.ics"`)
+    .send(bookingCalendar(booking));
 });
 
 export default router;
\ No newline at end of file
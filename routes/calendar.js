@@ -0,0 +1,132 @@
+import express from 'express';
+import { StatusCodes } from 'http-status-codes';
+import { auth } from '../middleware/auth.js';
+import CalendarFeed from '../models/CalendarFeed.js';
+import { NotFoundError } from '../errors/index.js';
+import { findFeedUser, issueCalendarFeed, revokeCalendarFeed, userCalendar } from '../utils/calendarFeeds.js';
+import logger from '../utils/logger.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar (.ics) feeds of bookings for Google Calendar, Outlook and the like
+ */
+
+const router = express.Router();
+
+// Feed URLs point back at this API, as seen by the caller
+const feedUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   get:
+ *     summary: Get the state of your calendar feed
+ *     description: The feed URL itself is only shown when it is created or rotated.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The feed, or null when there is none
+ *         content:
+ *           application/json:
+ *             example:
+ *               feed:
+ *                 createdAt: "2023-11-01T09:00:00.000Z"
+ *                 updatedAt: "2023-11-20T09:00:00.000Z"
+ *                 lastAccessedAt: "2023-11-28T06:15:00.000Z"
+ *   post:
+ *     summary: Create or rotate your calendar feed URL
+ *     description: |
+ *       Returns a new secret feed URL. Any earlier URL stops working, so this
+ *       is also how a leaked one is revoked. Photographers get the confirmed
+ *       bookings assigned to them, clients their own, admins all confirmed
+ *       bookings.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed URL; subscribe to it in a calendar app
+ *         content:
+ *           application/json:
+ *             example:
+ *               url: "https://api.example.com/api/calendar/feeds/3f9a....ics"
+ *               webcalUrl: "webcal://api.example.com/api/calendar/feeds/3f9a....ics"
+ *   delete:
+ *     summary: Turn your calendar feed off
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed removed
+ *       404:
+ *         description: There is no feed
+ */
+router.get('/feed', auth, async (req, res) => {
+  const feed = await CalendarFeed.findOne({
+    where: { userId: req.user.userId },
+    attributes: ['createdAt', 'updatedAt', 'lastAccessedAt']
+  });
+  res.status(StatusCodes.OK).json({ feed });
+});
+
+router.post('/feed', auth, async (req, res) => {
+  const token = await issueCalendarFeed(req.user.userId);
+
+  logger.info('Calendar feed issued', { event: 'calendar_feed_issued', userId: req.user.userId });
+
+  res.status(StatusCodes.CREATED).json(feedUrls(req, token));
+});
+
+router.delete('/feed', auth, async (req, res) => {
+  if (!(await revokeCalendarFeed(req.user.userId))) {
+    throw new NotFoundError('You do not have a calendar feed');
+  }
+
+  logger.info('Calendar feed revoked', { event: 'calendar_feed_revoked', userId: req.user.userId });
+
+  res.status(StatusCodes.OK).json({ success: true, message: 'Calendar feed removed' });
+});
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: Calendar feed
+ *     description: |
+ *       RFC 5545 calendar of confirmed bookings from the last 90 days onwards,
+ *       with the service, location and client contact details. The token in
+ *       the URL is the only credential, for calendar apps that cannot log in.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Unknown or rotated token
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  const user = await findFeedUser(req.params.token);
+  if (!user) {
+    throw new NotFoundError('Calendar feed not found');
+  }
+
+  res.set('Cache-Control', 'private, max-age=300');
+  res.type('text/calendar; charset=utf-8').send(await userCalendar(user));
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import crypto from 'crypto';
+import { StatusCodes } from 'http-status-codes';
+import { getJobConfig } from '../config/jobs.js';
+import { NotFoundError, UnauthenticatedError } from '../errors/index.js';
+import { runJobs, JOB_NAMES } from '../utils/jobs.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Scheduled booking jobs, for cron services
+ */
+
+const router = express.Router();
+
+// Vercel Cron and most other schedulers send the secret as a bearer token
+const requireCronSecret = (req, res, next) => {
+  const { cronSecret } = getJobConfig();
+  if (!cronSecret) {
+    throw new NotFoundError('Scheduled jobs cannot be run over HTTP: CRON_SECRET is not set');
+  }
+
+  const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(cronSecret);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new UnauthenticatedError('Invalid cron secret');
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /api/jobs/run:
+ *   get:
+ *     summary: Run the scheduled booking jobs
+ *     description: |
+ *       For cron services such as Vercel Cron. Needs `Authorization: Bearer <CRON_SECRET>`.
+ *       Runs every job, or only those named in `job`:
+ *       session-reminders sends reminders ahead of confirmed sessions,
+ *       flag-past-bookings flags confirmed bookings whose session has ended for
+ *       completion, and expire-pending-bookings cancels pending bookings nobody
+ *       accepted in time. Running them more often than needed is harmless.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Comma-separated job names (default all)
+ *     responses:
+ *       200:
+ *         description: What each job did
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               results:
+ *                 session-reminders: { sent: 3, failed: 0 }
+ *                 flag-past-bookings: { flagged: 1 }
+ *                 expire-pending-bookings: { expired: 0 }
+ *       400:
+ *         description: Unknown job name
+ *       401:
+ *         description: Missing or wrong cron secret
+ *       404:
+ *         description: CRON_SECRET is not set
+ */
+router.get('/run', requireCronSecret, async (req, res) => {
+  const names = req.query.job ? String(req.query.job).split(',').map(name => name.trim()) : JOB_NAMES;
+  const results = await runJobs(names);
+  res.status(StatusCodes.OK).json({ success: true, results });
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import { StatusCodes } from 'http-status-codes';
+import { BadRequestError } from '../errors/index.js';
+import { handlePaymentWebhook } from '../utils/payments.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment provider callbacks
+ */
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive payment events from the payment provider
+ *     description: |
+ *       Called by the payment provider, not by clients. Events use Stripe's
+ *       format and must carry a Stripe-Signature header signed with
+ *       PAYMENT_WEBHOOK_SECRET. payment_intent.succeeded marks the payment paid
+ *       and confirms the booking when it has a photographer;
+ *       payment_intent.payment_failed marks it failed. Other events, unknown
+ *       payments and repeats are acknowledged and ignored.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             type: "payment_intent.succeeded"
+ *             data:
+ *               object:
+ *                 id: "pi_3Nx..."
+ *                 amount_received: 37500
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       401:
+ *         description: Missing, expired or invalid signature
+ *       404:
+ *         description: Online payments are not set up
+ */
+router.post('/webhook', async (req, res) => {
+  // The signature covers the exact bytes sent, captured by express.json in index.js
+  if (!req.rawBody) {
+    throw new BadRequestError('Webhook body must be JSON');
+  }
+
+  const handled = await handlePaymentWebhook(req.rawBody.toString('utf8'), req.headers);
+  res.status(StatusCodes.OK).json({ received: true, handled });
+});
+
+export default router;
@@ -0,0 +1,314 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { auth, photographerOrAdmin } from '../middleware/auth.js';
+import User from '../models/User.js';
+import PhotographerWorkingHours from '../models/PhotographerWorkingHours.js';
+import PhotographerTimeOff from '../models/PhotographerTimeOff.js';
+import { sequelize } from '../config/db.js';
+import { StatusCodes } from 'http-status-codes';
+import { NotFoundError, BadRequestError, UnauthorizedError } from '../errors/index.js';
+import { parseClockTime } from '../utils/availability.js';
+import { parseDateOnly, parseDateTime, studioTimezone, zonedTimeToUtc } from '../utils/time.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Photographers
+ *   description: Photographer availability (working hours, blackout dates, time off)
+ */
+
+const router = express.Router();
+
+// Admins manage anyone's calendar, photographers only their own
+const loadPhotographer = async (req) => {
+  if (req.user.role !== 'admin' && String(req.user.userId) !== req.params.id) {
+    throw new UnauthorizedError('You can only manage your own availability');
+  }
+
+  const photographer = await User.findByPk(req.params.id);
+  if (!photographer || photographer.role !== 'photographer') {
+    throw new NotFoundError(`No photographer with id ${req.params.id}`);
+  }
+  return photographer;
+};
+
+const parseWorkingHours = (entries) => {
+  if (!Array.isArray(entries)) {
+    throw new BadRequestError('workingHours must be an array');
+  }
+
+  return entries.map(({ dayOfWeek, startTime, endTime }) => {
+    const day = Number(dayOfWeek);
+    const start = parseClockTime(startTime);
+    const end = parseClockTime(endTime);
+
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new BadRequestError('dayOfWeek must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (start === null || end === null || start >= end) {
+      throw new BadRequestError('startTime and endTime must be HH:MM with startTime before endTime');
+    }
+    return { dayOfWeek: day, startTime, endTime };
+  });
+};
+
+// Blackouts take whole dates in the studio timezone; time off takes an exact
+// start and end
+const parseTimeOff = ({ kind = 'time_off', startDate, endDate, startsAt, endsAt }) => {
+  const timezone = studioTimezone();
+
+  if (kind === 'blackout') {
+    const first = parseDateOnly(startDate);
+    const last = parseDateOnly(endDate || startDate);
+    if (!first || !last) {
+      throw new BadRequestError('Blackouts need startDate (and optionally endDate) as YYYY-MM-DD');
+    }
+    const start = zonedTimeToUtc(first, timezone);
+    const end = zonedTimeToUtc({ ...last, day: last.day + 1 }, timezone);
+    if (start >= end) {
+      throw new BadRequestError('endDate cannot be before startDate');
+    }
+    return { kind, startsAt: start, endsAt: end };
+  }
+
+  if (kind === 'time_off') {
+    const start = parseDateTime(startsAt, timezone);
+    const end = parseDateTime(endsAt, timezone);
+    if (!start || !end || start >= end) {
+      throw new BadRequestError('Time off needs startsAt before endsAt as ISO-8601 date-times');
+    }
+    return { kind, startsAt: start, endsAt: end };
+  }
+
+  throw new BadRequestError('kind must be one of: blackout, time_off');
+};
+
+/**
+ * @swagger
+ * /api/photographers/{id}/availability:
+ *   get:
+ *     summary: Get a photographer's working hours and upcoming time off
+ *     description: Photographers can see their own calendar, admins anyone's.
+ *     tags: [Photographers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Availability
+ *         content:
+ *           application/json:
+ *             example:
+ *               workingHours:
+ *                 - id: 1
+ *                   dayOfWeek: 1
+ *                   startTime: "09:00"
+ *                   endTime: "17:00"
+ *               timeOff:
+ *                 - id: 3
+ *                   kind: "blackout"
+ *                   startsAt: "2024-12-24T00:00:00.000Z"
+ *                   endsAt: "2024-12-27T00:00:00.000Z"
+ *                   reason: "Holidays"
+ *       403:
+ *         description: Not your calendar
+ *       404:
+ *         description: Photographer not found
+ */
+router.get('/:id/availability', auth, photographerOrAdmin, async (req, res) => {
+  const photographer = await loadPhotographer(req);
+
+  const [workingHours, timeOff] = await Promise.all([
+    PhotographerWorkingHours.findAll({
+      where: { photographerId: photographer.id },
+      attributes: ['id', 'dayOfWeek', 'startTime', 'endTime'],
+      order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']]
+    }),
+    PhotographerTimeOff.findAll({
+      where: { photographerId: photographer.id, endsAt: { [Op.gt]: new Date() } },
+      attributes: ['id', 'kind', 'startsAt', 'endsAt', 'reason'],
+      order: [['startsAt', 'ASC']]
+    })
+  ]);
+
+  res.status(StatusCodes.OK).json({ workingHours, timeOff });
+});
+
+/**
+ * @swagger
+ * /api/photographers/{id}/working-hours:
+ *   put:
+ *     summary: Replace a photographer's weekly working hours
+ *     description: |
+ *       Times are in the studio timezone. Days without an entry are days off. A
+ *       photographer with no working hours at all can be assigned at any time.
+ *     tags: [Photographers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - workingHours
+ *             properties:
+ *               workingHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       description: 0 = Sunday ... 6 = Saturday
+ *                     startTime:
+ *                       type: string
+ *                       example: "09:00"
+ *                     endTime:
+ *                       type: string
+ *                       example: "17:00"
+ *     responses:
+ *       200:
+ *         description: Working hours saved
+ *       400:
+ *         description: Invalid hours
+ *       403:
+ *         description: Not your calendar
+ *       404:
+ *         description: Photographer not found
+ */
+router.put('/:id/working-hours', auth, photographerOrAdmin, async (req, res) => {
+  const photographer = await loadPhotographer(req);
+  const entries = parseWorkingHours(req.body.workingHours);
+
+  const workingHours = await sequelize.transaction(async (transaction) => {
+    await PhotographerWorkingHours.destroy({ where: { photographerId: photographer.id }, transaction });
+    return PhotographerWorkingHours.bulkCreate(
+      entries.map(entry => ({ ...entry, photographerId: photographer.id })),
+      { transaction }
+    );
+  });
+
+  res.status(StatusCodes.OK).json({ workingHours });
+});
+
+/**
+ * @swagger
+ * /api/photographers/{id}/time-off:
+ *   post:
+ *     summary: Add a blackout or time off
+ *     description: |
+ *       A blackout blocks whole days (studio timezone) from startDate to endDate
+ *       inclusive. Time off blocks the exact range startsAt to endsAt; date-times
+ *       without an offset are read in the studio timezone. Existing bookings
+ *       are not affected; new assignments in the period are refused.
+ *     tags: [Photographers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [blackout, time_off]
+ *                 default: time_off
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time off added
+ *       400:
+ *         description: Invalid period
+ *       403:
+ *         description: Not your calendar
+ *       404:
+ *         description: Photographer not found
+ */
+router.post('/:id/time-off', auth, photographerOrAdmin, async (req, res) => {
+  const photographer = await loadPhotographer(req);
+  const period = parseTimeOff(req.body);
+
+  const timeOff = await PhotographerTimeOff.create({
+    ...period,
+    photographerId: photographer.id,
+    reason: req.body.reason || null
+  });
+
+  res.status(StatusCodes.CREATED).json({ timeOff });
+});
+
+/**
+ * @swagger
+ * /api/photographers/{id}/time-off/{timeOffId}:
+ *   delete:
+ *     summary: Remove a blackout or time off
+ *     tags: [Photographers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: timeOffId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       403:
+ *         description: Not your calendar
+ *       404:
+ *         description: Not found
+ */
+router.delete('/:id/time-off/:timeOffId', auth, photographerOrAdmin, async (req, res) => {
+  const photographer = await loadPhotographer(req);
+
+  const removed = await PhotographerTimeOff.destroy({
+    where: { id: req.params.timeOffId, photographerId: photographer.id }
+  });
+  if (!removed) {
+    throw new NotFoundError(`No time off with id ${req.params.timeOffId}`);
+  }
+
+  res.status(StatusCodes.OK).json({ message: 'Time off removed' });
+});
+
+export default router;
@@ -6,6 +6,8 @@ import User from '../models/User.js';
 import { StatusCodes } from 'http-status-codes';
 import { NotFoundError } from '../errors/index.js';
 import cloudinary from '../utils/cloudinary.js';
+import { getNotificationPreferences, updateNotificationPreferences } from '../utils/notifications.js';
+import { NOTIFICATION_EVENTS } from '../utils/notificationTemplates.js';
 
 const router = express.Router();
 
@@ -270,4 +272,72 @@ router.delete('/picture', auth, async (req, res) => {
   });
 });
 
-export default router;
+/**
+ * @swagger
+ * /api/profile/notifications:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: How the user is told about their bookings. Defaults to email for every event.
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's preferences and the events that can be turned off
+ *         content:
+ *           application/json:
+ *             example:
+ *               preferences:
+ *                 channels: ["email", "sms"]
+ *                 disabledEvents: ["booking_reminder"]
+ *                 phoneNumber: "+44 20 7946 0000"
+ *               events: ["booking_created", "booking_confirmed", "photographer_assigned", "booking_cancelled", "booking_reminder"]
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Fields left out keep their current value
+ *     tags: [Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, sms]
+ *                 description: Channels to be notified on; an empty list turns notifications off
+ *               disabledEvents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [booking_created, booking_confirmed, photographer_assigned, booking_cancelled, booking_reminder]
+ *               phoneNumber:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Number for SMS. Clients without one are texted at the number on the booking.
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Unknown channel or event, or an invalid phone number
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/notifications', auth, async (req, res) => {
+  const preferences = await getNotificationPreferences(req.user.userId);
+  res.status(StatusCodes.OK).json({ preferences, events: NOTIFICATION_EVENTS });
+});
+
+router.put('/notifications', auth, async (req, res) => {
+  const preferences = await updateNotificationPreferences(req.user.userId, req.body);
+  res.status(StatusCodes.OK).json({ success: true, preferences });
+});
+
+export default router;
\ No newline at end of file
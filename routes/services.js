@@ -6,6 +6,8 @@ import { NotFoundError, BadRequestError } from '../errors/index.js';
 import multer from 'multer';
 import cloudinary from '../utils/cloudinary.js';
 import { Readable } from 'stream';
+import { findAvailableSlots, MAX_SLOT_SEARCH_DAYS } from '../utils/availability.js';
+import { parseIsoDuration, parseRangeBoundary, studioTimezone } from '../utils/time.js';
 
 /**
  * @swagger
@@ -36,9 +38,29 @@ import { Readable } from 'stream';
  *         price:
  *           type: number
  *           description: Service price
+ *         durationMinutes:
+ *           type: integer
+ *           description: Length of a session in minutes
+ *         depositPercent:
+ *           type: integer
+ *           description: Share of the price paid as a deposit before the booking is confirmed (0 for none)
+ *         depositAmount:
+ *           type: number
+ *           readOnly: true
+ *           description: What the deposit comes to
+ *         freeCancellationHours:
+ *           type: integer
+ *           description: Hours before the session until which a confirmed booking can be cancelled for free
+ *         lateCancellationFeePercent:
+ *           type: integer
+ *           description: Share of the price charged for cancelling later than that
+ *         noShowFeePercent:
+ *           type: integer
+ *           description: Share of the price charged when the client does not turn up
  *         duration:
  *           type: string
- *           description: Service duration (e.g., "1-2 hours")
+ *           readOnly: true
+ *           description: The same length as an ISO-8601 duration (e.g., "PT1H30M")
  *         imageUrl:
  *           type: string
  *           description: URL of the service image
@@ -85,8 +107,24 @@ import { Readable } from 'stream';
  *                 description: The service image file to upload
  *               price:
  *                 type: number
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Session length in minutes (default 60)
  *               duration:
  *                 type: string
+ *                 description: Session length as an ISO-8601 duration, e.g. "PT2H" (instead of durationMinutes)
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Deposit as a percentage of the price, 0 to 100 (default 0, no deposit)
+ *               freeCancellationHours:
+ *                 type: integer
+ *                 description: Hours before the session until which cancelling is free (default 0)
+ *               lateCancellationFeePercent:
+ *                 type: integer
+ *                 description: Fee for cancelling a confirmed booking after that, as a percentage of the price (default 0)
+ *               noShowFeePercent:
+ *                 type: integer
+ *                 description: Fee when the client does not turn up, as a percentage of the price (default 0)
  *     responses:
  *       201:
  *         description: Service created successfully
@@ -162,8 +200,24 @@ import { Readable } from 'stream';
  *                 description: New service image file (optional if not changing)
  *               price:
  *                 type: number
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Session length in minutes (default 60)
  *               duration:
  *                 type: string
+ *                 description: Session length as an ISO-8601 duration, e.g. "PT2H" (instead of durationMinutes)
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Deposit as a percentage of the price, 0 to 100 (default 0, no deposit)
+ *               freeCancellationHours:
+ *                 type: integer
+ *                 description: Hours before the session until which cancelling is free (default 0)
+ *               lateCancellationFeePercent:
+ *                 type: integer
+ *                 description: Fee for cancelling a confirmed booking after that, as a percentage of the price (default 0)
+ *               noShowFeePercent:
+ *                 type: integer
+ *                 description: Fee when the client does not turn up, as a percentage of the price (default 0)
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -305,6 +359,99 @@ router.get('/:id', async (req, res) => {
   res.status(StatusCodes.OK).json({ service });
 });
 
+// Session length from durationMinutes or an ISO-8601 duration; undefined when
+// neither was sent
+const parseServiceDuration = ({ durationMinutes, duration }) => {
+  if (durationMinutes !== undefined && durationMinutes !== '') {
+    const minutes = Number(durationMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      throw new BadRequestError('durationMinutes must be a whole number of minutes');
+    }
+    return minutes;
+  }
+  if (duration !== undefined && duration !== '') {
+    const minutes = parseIsoDuration(duration);
+    if (!minutes) {
+      throw new BadRequestError('duration must be an ISO-8601 duration such as PT2H or PT1H30M');
+    }
+    return minutes;
+  }
+  return undefined;
+};
+
+/**
+ * @swagger
+ * /api/services/{id}/availability:
+ *   get:
+ *     summary: Search bookable slots for a service
+ *     description: |
+ *       Start times at which at least one photographer is working, not on time
+ *       off and free for the whole service duration. Pass a slot's `startAt` to
+ *       POST /api/bookings. `capacity` is how many photographers could take the
+ *       slot. Defaults to the next 7 days; at most 31 days per request.
+ *     tags: [Services]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Date (YYYY-MM-DD, studio timezone) or ISO-8601 date-time, default now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Date (inclusive) or ISO-8601 date-time, default from + 7 days
+ *     responses:
+ *       200:
+ *         description: Available slots
+ *         content:
+ *           application/json:
+ *             example:
+ *               serviceId: 1
+ *               durationMinutes: 120
+ *               timezone: "Europe/London"
+ *               slots:
+ *                 - startAt: "2024-06-03T08:00:00.000Z"
+ *                   endAt: "2024-06-03T10:00:00.000Z"
+ *                   capacity: 2
+ *       400:
+ *         description: Invalid range
+ *       404:
+ *         description: Service not found
+ */
+router.get('/:id/availability', async (req, res) => {
+  const service = await Service.findByPk(req.params.id);
+  if (!service || !service.isActive) {
+    throw new NotFoundError(`No service with id ${req.params.id}`);
+  }
+
+  const from = req.query.from ? parseRangeBoundary(req.query.from) : new Date();
+  const to = req.query.to
+    ? parseRangeBoundary(req.query.to, { endOfDay: true })
+    : from && new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  if (!from || !to || from >= to) {
+    throw new BadRequestError('from and to must be dates or date-times with from before to');
+  }
+  if (to - from > MAX_SLOT_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+    throw new BadRequestError(`Search at most ${MAX_SLOT_SEARCH_DAYS} days at a time`);
+  }
+
+  const slots = await findAvailableSlots(service, from, to);
+
+  res.status(StatusCodes.OK).json({
+    serviceId: service.id,
+    durationMinutes: service.durationMinutes,
+    timezone: studioTimezone(),
+    slots
+  });
+});
+
 /**
  * @swagger
  * /api/services:
@@ -337,8 +484,24 @@ router.get('/:id', async (req, res) => {
  *                 description: The image file to upload
  *               price:
  *                 type: number
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Session length in minutes (default 60)
  *               duration:
  *                 type: string
+ *                 description: Session length as an ISO-8601 duration, e.g. "PT2H" (instead of durationMinutes)
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Deposit as a percentage of the price, 0 to 100 (default 0, no deposit)
+ *               freeCancellationHours:
+ *                 type: integer
+ *                 description: Hours before the session until which cancelling is free (default 0)
+ *               lateCancellationFeePercent:
+ *                 type: integer
+ *                 description: Fee for cancelling a confirmed booking after that, as a percentage of the price (default 0)
+ *               noShowFeePercent:
+ *                 type: integer
+ *                 description: Fee when the client does not turn up, as a percentage of the price (default 0)
  *     responses:
  *       201:
  *         description: Service created
@@ -353,7 +516,16 @@ router.post('/', auth, adminOnly, upload.single('image'), async (req, res) => {
       throw new BadRequestError('Service image is required');
     }
     
-    const { name, description, price, duration } = req.body;
+    const {
+      name,
+      description,
+      price,
+      depositPercent,
+      freeCancellationHours,
+      lateCancellationFeePercent,
+      noShowFeePercent
+    } = req.body;
+    const durationMinutes = parseServiceDuration(req.body);
     
     // Upload the buffer directly to Cloudinary
     const imageUrl = await uploadBufferToCloudinary(req.file.buffer);
@@ -362,7 +534,11 @@ router.post('/', auth, adminOnly, upload.single('image'), async (req, res) => {
       name,
       description,
       price,
-      duration,
+      durationMinutes,
+      depositPercent,
+      freeCancellationHours,
+      lateCancellationFeePercent,
+      noShowFeePercent,
       imageUrl
     });
     
@@ -411,8 +587,24 @@ router.post('/', auth, adminOnly, upload.single('image'), async (req, res) => {
  *                 type: boolean
  *               price:
  *                 type: number
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: Session length in minutes (default 60)
  *               duration:
  *                 type: string
+ *                 description: Session length as an ISO-8601 duration, e.g. "PT2H" (instead of durationMinutes)
+ *               depositPercent:
+ *                 type: integer
+ *                 description: Deposit as a percentage of the price, 0 to 100 (default 0, no deposit)
+ *               freeCancellationHours:
+ *                 type: integer
+ *                 description: Hours before the session until which cancelling is free (default 0)
+ *               lateCancellationFeePercent:
+ *                 type: integer
+ *                 description: Fee for cancelling a confirmed booking after that, as a percentage of the price (default 0)
+ *               noShowFeePercent:
+ *                 type: integer
+ *                 description: Fee when the client does not turn up, as a percentage of the price (default 0)
  *     responses:
  *       200:
  *         description: Service updated
@@ -430,7 +622,11 @@ router.patch('/:id', auth, adminOnly, upload.single('image'), async (req, res) =
     }
     
     // Prepare the update data
-    const updateData = { ...req.body };
+    const { duration, ...updateData } = req.body;
+    const durationMinutes = parseServiceDuration(req.body);
+    if (durationMinutes !== undefined) {
+      updateData.durationMinutes = durationMinutes;
+    }
     
     // If a new image was uploaded, update the imageUrl
     if (req.file) {
@@ -0,0 +1,58 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import OneTimeToken from '../models/OneTimeToken.js';
+import User from '../models/User.js';
+import authRoutes from '../routes/auth.js';
+import logger from '../utils/logger.js';
+import { registerTransport } from '../utils/mailer.js';
+import { createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/auth': authRoutes });
+
+const MESSAGE = 'If that email needs verifying, a new link has been sent';
+
+let handedOver;
+
+const resend = email => request(app).post('/api/auth/verify-email/resend').send({ email });
+
+beforeEach(() => {
+  stubDatabase();
+
+  // The test transport fails every email once it has been handed one
+  handedOver = new Promise((resolve) => {
+    registerTransport('failing', async (message) => {
+      resolve(message);
+      throw new Error('SMTP connection refused');
+    });
+  });
+  process.env.MAIL_TRANSPORT = 'failing';
+
+  jest.spyOn(OneTimeToken, 'destroy').mockResolvedValue(0);
+  jest.spyOn(OneTimeToken, 'create').mockResolvedValue({});
+  jest.spyOn(logger, 'error');
+});
+
+afterEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/verify-email/resend', () => {
+  test('an unknown email and a failed email get the same answer', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(null);
+    const unknown = await resend('nobody@example.com');
+
+    User.findOne.mockResolvedValueOnce({ id: 7, username: 'jane', email: 'jane@example.com', emailVerified: false });
+    const unverified = await resend('jane@example.com');
+    await handedOver;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(unknown.status).toBe(200);
+    expect(unverified.status).toBe(200);
+    expect(unknown.body).toEqual({ message: MESSAGE });
+    expect(unverified.body).toEqual({ message: MESSAGE });
+    expect(logger.error).toHaveBeenCalledWith('Verification email failed', expect.objectContaining({
+      error: 'SMTP connection refused'
+    }));
+  });
+});
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { Op } from 'sequelize';
+import ActivityLog from '../models/ActivityLog.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import User from '../models/User.js';
+import authRoutes from '../routes/auth.js';
+import { encryptSecret, generateSecret } from '../utils/totp.js';
+import { createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/auth': authRoutes });
+
+const PASSWORD = 'Corr3ct!horse';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+let user;
+let throttles;
+
+// Login throttle rows kept in memory, keyed by scope and key
+const stubLoginThrottles = () => {
+  throttles = new Map();
+  const row = (scope, key) => ({
+    scope,
+    key,
+    failures: 0,
+    lastFailureAt: null,
+    lockedUntil: null,
+    save: async () => {}
+  });
+
+  jest.spyOn(LoginThrottle, 'findAll').mockImplementation(async ({ where }) => where[Op.or]
+    .map(({ scope, key }) => throttles.get(`${scope}:${key}`))
+    .filter(Boolean));
+  jest.spyOn(LoginThrottle, 'findOrCreate').mockImplementation(async ({ where: { scope, key } }) => {
+    if (!throttles.has(`${scope}:${key}`)) {
+      throttles.set(`${scope}:${key}`, row(scope, key));
+    }
+    return [throttles.get(`${scope}:${key}`), false];
+  });
+  jest.spyOn(LoginThrottle, 'destroy').mockImplementation(async ({ where: { scope, key } }) => {
+    throttles.delete(`${scope}:${key}`);
+  });
+  jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+};
+
+const login = () => request(app).post('/api/auth/login').send({ username: 'jane', password: PASSWORD });
+
+const wrongCode = challengeToken => request(app).post('/api/auth/login/2fa').send({ challengeToken, code: '000000' });
+
+const accountFailures = () => throttles.get(`account:user:${user.id}`)?.failures || 0;
+
+beforeEach(() => {
+  stubDatabase();
+  stubLoginThrottles();
+
+  user = User.build({
+    id: 7,
+    username: 'jane',
+    email: 'jane@example.com',
+    password: passwordHash,
+    role: 'client',
+    emailVerified: true,
+    twoFactorEnabled: true,
+    twoFactorSecret: encryptSecret(generateSecret())
+  }, { isNewRecord: false });
+  jest.spyOn(User, 'findOne').mockResolvedValue(user);
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/login with two-factor authentication', () => {
+  test('the right password does not reset failed two-factor codes', async () => {
+    const first = await login();
+    expect(first.status).toBe(200);
+    expect(first.body.twoFactorRequired).toBe(true);
+
+    expect((await wrongCode(first.body.challengeToken)).status).toBe(401);
+    expect(accountFailures()).toBe(1);
+
+    const second = await login();
+    expect(second.status).toBe(200);
+    expect(second.body.twoFactorRequired).toBe(true);
+    expect(accountFailures()).toBe(1);
+  });
+
+  test('logging in again after failed codes is throttled', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const { body } = await login();
+      expect((await wrongCode(body.challengeToken)).status).toBe(401);
+    }
+
+    const res = await login();
+
+    expect(res.status).toBe(429);
+    expect(res.body.challengeToken).toBeUndefined();
+    expect(accountFailures()).toBe(3);
+  });
+
+  test('the right password clears failures for an account without two-factor', async () => {
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    throttles.set(`account:user:${user.id}`, { scope: 'account', key: `user:${user.id}`, failures: 2, lastFailureAt: new Date(0) });
+    jest.spyOn(Setting, 'findByPk').mockResolvedValue(null);
+    jest.spyOn(Session, 'create').mockImplementation(async values => Session.build({ id: 1, ...values }));
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(accountFailures()).toBe(0);
+  });
+});
+
+describe('POST /api/auth/login with an unknown identifier', () => {
+  test('a very long identifier is refused with 401 and throttled under a bounded key', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/login').send({ username: 'x'.repeat(5000), password: PASSWORD });
+
+    expect(res.status).toBe(401);
+    const [accountThrottle] = [...throttles.values()].filter(row => row.scope === 'account');
+    expect(accountThrottle.key.length).toBeLessThanOrEqual(255);
+  });
+});
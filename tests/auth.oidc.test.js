@@ -0,0 +1,162 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import OAuthState from '../models/OAuthState.js';
+import ProviderIdentity from '../models/ProviderIdentity.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import User from '../models/User.js';
+import authRoutes from '../routes/auth.js';
+import { createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/auth': authRoutes });
+
+const CLIENT_ID = 'test-client';
+const REDIRECT_URI = 'http://localhost:5173/auth/callback';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// A minimal OpenID provider that, like node-oidc-provider and Keycloak,
+// advertises the iss authorization response parameter (RFC 9207)
+let provider;
+let issuer;
+let authorization;
+
+const startProvider = () => new Promise((resolve) => {
+  const mock = express();
+  mock.use(express.urlencoded({ extended: false }));
+
+  mock.get('/.well-known/openid-configuration', (req, res) => res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    authorization_response_iss_parameter_supported: true
+  }));
+
+  mock.get('/jwks', (req, res) => res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }]
+  }));
+
+  mock.post('/token', (req, res) => {
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (req.body.code !== authorization.code || challenge !== authorization.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    res.json({
+      access_token: 'provider-access-token',
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: jwt.sign({
+        sub: 'mock-user-1',
+        email: 'new.user@example.com',
+        email_verified: true,
+        preferred_username: 'new.user',
+        nonce: authorization.nonce
+      }, privateKey, { algorithm: 'RS256', keyid: 'test-key', issuer, audience: CLIENT_ID, expiresIn: 300 })
+    });
+  });
+
+  provider = mock.listen(0, '127.0.0.1', () => {
+    issuer = `http://127.0.0.1:${provider.address().port}`;
+    resolve();
+  });
+});
+
+// Starts a login and lets the provider "authorize" it, returning the
+// parameters the provider would add to the redirect
+const authorize = async () => {
+  const res = await request(app).get('/api/auth/oauth/mock').query({ redirectUri: REDIRECT_URI });
+  expect(res.status).toBe(200);
+
+  const url = new URL(res.body.authorizationUrl);
+  authorization = {
+    code: crypto.randomBytes(16).toString('hex'),
+    nonce: url.searchParams.get('nonce'),
+    codeChallenge: url.searchParams.get('code_challenge')
+  };
+  return { code: authorization.code, state: url.searchParams.get('state') };
+};
+
+const callback = body => request(app).post('/api/auth/oauth/mock/callback').send(body);
+
+beforeAll(async () => {
+  await startProvider();
+  process.env.OIDC_PROVIDERS = 'mock';
+  process.env.OIDC_MOCK_ISSUER = issuer;
+  process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_REDIRECT_URIS = REDIRECT_URI;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => provider.close(resolve));
+});
+
+beforeEach(() => {
+  stubDatabase();
+
+  const states = new Map();
+  jest.spyOn(OAuthState, 'create').mockImplementation(async (values) => {
+    states.set(values.state, values);
+    return values;
+  });
+  jest.spyOn(OAuthState, 'findOne').mockImplementation(async ({ where }) => states.get(where.state) || null);
+  jest.spyOn(OAuthState, 'destroy').mockImplementation(async ({ where }) => Number(states.delete(where.state)));
+
+  jest.spyOn(ProviderIdentity, 'findOne').mockResolvedValue(null);
+  jest.spyOn(ProviderIdentity, 'create').mockResolvedValue({});
+  jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  jest.spyOn(User, 'create').mockImplementation(async values => User.build({ id: 42, ...values }));
+  jest.spyOn(Booking, 'update').mockResolvedValue([0]);
+  jest.spyOn(Setting, 'findByPk').mockResolvedValue(null);
+  jest.spyOn(Session, 'create').mockImplementation(async values => Session.build({ id: 1, ...values }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/oauth/:provider/callback against a provider that sends iss', () => {
+  test('logs in when the redirect\'s iss is passed through', async () => {
+    const params = await authorize();
+
+    const res = await callback({ ...params, iss: issuer });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'new.user@example.com' }));
+  });
+
+  test('refuses a response without iss', async () => {
+    const params = await authorize();
+
+    const res = await callback(params);
+
+    expect(res.status).toBe(401);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses a response from another issuer', async () => {
+    const params = await authorize();
+
+    const res = await callback({ ...params, iss: 'https://attacker.example.com' });
+
+    expect(res.status).toBe(401);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  test('reports a login the user refused at the provider', async () => {
+    const { state } = await authorize();
+
+    const res = await callback({ state, iss: issuer, error: 'access_denied', error_description: 'User cancelled' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Login with mock failed');
+  });
+});
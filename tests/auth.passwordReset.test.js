@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import OneTimeToken from '../models/OneTimeToken.js';
+import User from '../models/User.js';
+import authRoutes from '../routes/auth.js';
+import logger from '../utils/logger.js';
+import { registerTransport } from '../utils/mailer.js';
+import { createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/auth': authRoutes });
+
+const MESSAGE = 'If that email is registered, a reset link has been sent';
+
+let deliver;
+let delivered;
+
+const forgotPassword = email => request(app).post('/api/auth/forgot-password').send({ email });
+
+beforeEach(() => {
+  stubDatabase();
+
+  // Emails go to the test transport, which resolves `delivered` once one is
+  // handed to it and then does whatever `deliver` says
+  delivered = new Promise((resolve) => {
+    registerTransport('test', async (message) => {
+      resolve(message);
+      return deliver(message);
+    });
+  });
+  deliver = async () => {};
+  process.env.MAIL_TRANSPORT = 'test';
+
+  jest.spyOn(OneTimeToken, 'destroy').mockResolvedValue(0);
+  jest.spyOn(OneTimeToken, 'create').mockResolvedValue({});
+  jest.spyOn(logger, 'error');
+});
+
+afterEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  test('an unknown email gets the same answer and no token', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await forgotPassword('nobody@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: MESSAGE });
+    expect(OneTimeToken.create).not.toHaveBeenCalled();
+  });
+
+  test('a registered email is answered before the email is sent', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ id: 7, username: 'jane', email: 'jane@example.com' });
+    deliver = () => new Promise(() => {});
+
+    const res = await forgotPassword('jane@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: MESSAGE });
+    const message = await delivered;
+    expect(message.to).toBe('jane@example.com');
+    expect(message.text).toContain('/reset-password?token=');
+  });
+
+  test('a failed email is logged, not reported to the caller', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ id: 7, username: 'jane', email: 'jane@example.com' });
+    deliver = async () => {
+      throw new Error('SMTP connection refused');
+    };
+
+    const res = await forgotPassword('jane@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: MESSAGE });
+    await delivered;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(logger.error).toHaveBeenCalledWith('Password reset email failed', expect.objectContaining({
+      error: 'SMTP connection refused'
+    }));
+  });
+});
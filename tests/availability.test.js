@@ -0,0 +1,65 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { Op } from 'sequelize';
+import Booking from '../models/Booking.js';
+import PhotographerTimeOff from '../models/PhotographerTimeOff.js';
+import PhotographerWorkingHours from '../models/PhotographerWorkingHours.js';
+import User from '../models/User.js';
+import { assertSlotAvailable } from '../utils/availability.js';
+import { ConflictError } from '../errors/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const service = { id: 1, durationMinutes: 60 };
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+// Tomorrow at 10:00 UTC, inside the default studio hours
+const startAt = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate() + 1, 10));
+
+const studioTimezone = process.env.STUDIO_TIMEZONE;
+let photographerBookings;
+
+beforeEach(() => {
+  process.env.STUDIO_TIMEZONE = 'UTC';
+  photographerBookings = [];
+
+  jest.spyOn(User, 'findAll').mockResolvedValue([{ id: 3 }]);
+  jest.spyOn(PhotographerWorkingHours, 'findAll').mockResolvedValue([]);
+  jest.spyOn(PhotographerTimeOff, 'findAll').mockResolvedValue([]);
+  jest.spyOn(Booking, 'findAll').mockImplementation(async ({ where }) => {
+    if (where.photographerId === null) {
+      return [];
+    }
+    return photographerBookings.filter(booking => booking.id !== where.id?.[Op.ne]);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  if (studioTimezone === undefined) {
+    delete process.env.STUDIO_TIMEZONE;
+  } else {
+    process.env.STUDIO_TIMEZONE = studioTimezone;
+  }
+});
+
+describe('assertSlotAvailable', () => {
+  test('refuses a time the only photographer already holds', async () => {
+    photographerBookings = [{ id: 10, startAt, endAt: new Date(startAt.getTime() + HOUR_MS) }];
+
+    await expect(assertSlotAvailable(service, startAt, { transaction })).rejects.toBeInstanceOf(ConflictError);
+  });
+
+  test('does not count the booking being moved against itself', async () => {
+    photographerBookings = [{ id: 10, startAt, endAt: new Date(startAt.getTime() + HOUR_MS) }];
+
+    await expect(assertSlotAvailable(service, startAt, { excludeBookingId: 10, transaction }))
+      .resolves.toEqual({ start: startAt, end: new Date(startAt.getTime() + HOUR_MS) });
+  });
+
+  test('locks the photographers before reading any booking', async () => {
+    await assertSlotAvailable(service, startAt, { transaction });
+
+    expect(User.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    const lockedAt = User.findAll.mock.invocationCallOrder[0];
+    expect(Booking.findAll.mock.invocationCallOrder.every(order => order > lockedAt)).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import Service from '../models/Service.js';
+import bookingRoutes from '../routes/bookings.js';
+import { allowedTransitions, canTransition, transitionBooking } from '../utils/bookingStateMachine.js';
+import { BadRequestError, ConflictError } from '../errors/index.js';
+import { USERS, bearer, createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/bookings': bookingRoutes });
+
+const admin = { userId: 5, role: 'admin' };
+// Notifications are queued on the transaction and dropped here
+const transaction = { afterCommit: () => {} };
+
+let booking;
+let service;
+
+beforeEach(() => {
+  stubDatabase();
+  booking = Booking.build({ id: 10, serviceId: 1, status: 'pending' }, { isNewRecord: false });
+  jest.spyOn(Booking, 'findByPk').mockResolvedValue(booking);
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+  service = Service.build({ id: 1, price: '100.00', depositPercent: 0 });
+  jest.spyOn(Service, 'findByPk').mockImplementation(async () => service);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('canTransition', () => {
+  test('allows each role only its own moves', () => {
+    expect(canTransition('pending', 'confirmed', 'photographer')).toBe(true);
+    expect(canTransition('pending', 'confirmed', 'client')).toBe(false);
+    expect(canTransition('confirmed', 'cancelled', 'photographer')).toBe(true);
+    expect(canTransition('pending', 'cancelled', 'photographer')).toBe(false);
+  });
+
+  test('completed and cancelled are final', () => {
+    expect(allowedTransitions('completed', 'admin')).toEqual([]);
+    expect(allowedTransitions('cancelled', 'admin')).toEqual([]);
+  });
+});
+
+describe('transitionBooking', () => {
+  test('rejects a status that does not exist as bad input', async () => {
+    await expect(transitionBooking(booking, 'archived', admin, { transaction })).rejects.toBeInstanceOf(BadRequestError);
+    expect(booking.status).toBe('pending');
+  });
+
+  test('saves the new status with the other changes and records the move', async () => {
+    await transitionBooking(booking, 'confirmed', admin, {
+      changes: { photographerId: 3 },
+      note: 'Assigned',
+      transaction
+    });
+
+    expect(booking.status).toBe('confirmed');
+    expect(booking.photographerId).toBe(3);
+    expect(Booking.prototype.save).toHaveBeenCalledWith({ transaction });
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith({
+      bookingId: 10,
+      fromStatus: 'pending',
+      toStatus: 'confirmed',
+      changedBy: admin.userId,
+      changedByRole: 'admin',
+      note: 'Assigned'
+    }, { transaction });
+  });
+
+  test('refuses a move the role may not make without saving anything', async () => {
+    await expect(transitionBooking(booking, 'confirmed', { userId: 1, role: 'client' }, { transaction }))
+      .rejects.toBeInstanceOf(ConflictError);
+
+    expect(booking.status).toBe('pending');
+    expect(Booking.prototype.save).not.toHaveBeenCalled();
+    expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses to confirm while the deposit is unpaid', async () => {
+    service.depositPercent = 20;
+
+    await expect(transitionBooking(booking, 'confirmed', admin, { transaction }))
+      .rejects.toBeInstanceOf(ConflictError);
+    expect(booking.status).toBe('pending');
+
+    booking.depositPaidAt = new Date();
+    await transitionBooking(booking, 'confirmed', admin, { transaction });
+    expect(booking.status).toBe('confirmed');
+  });
+});
+
+describe('PATCH /api/bookings/:id/status', () => {
+  test('an unknown status gets 400', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/10/status')
+      .set('Authorization', bearer(USERS.admin))
+      .send({ status: 'archived' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('status');
+  });
+
+  test('a transition that is not allowed gets 409', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/10/status')
+      .set('Authorization', bearer(USERS.admin))
+      .send({ status: 'completed' });
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,152 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import Service from '../models/Service.js';
+import bookingRoutes from '../routes/bookings.js';
+import { USERS, bearer, createApp, matchRows, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/bookings': bookingRoutes });
+const { client, photographer, admin } = USERS;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let booking;
+
+// A confirmed booking starting the given number of hours from now
+const confirmedBooking = (hoursAhead, fields = {}) => Booking.build({
+  id: 10,
+  clientId: client.id,
+  photographerId: photographer.id,
+  serviceId: 1,
+  status: 'confirmed',
+  startAt: new Date(Date.now() + hoursAhead * HOUR_MS),
+  endAt: new Date(Date.now() + (hoursAhead + 1) * HOUR_MS),
+  cancellationFee: null,
+  ...fields
+}, { isNewRecord: false });
+
+const cancel = (user, body = {}) => request(app).delete('/api/bookings/10').set('Authorization', bearer(user)).send(body);
+
+const waive = user => request(app)
+  .patch('/api/bookings/10/cancellation-fee/waive')
+  .set('Authorization', bearer(user))
+  .send({ note: 'Family emergency' });
+
+beforeEach(() => {
+  stubDatabase();
+  booking = confirmedBooking(2);
+
+  jest.spyOn(Booking, 'findOne').mockImplementation(async options => matchRows([booking])(options)[0] || null);
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Booking.prototype, 'update').mockImplementation(function update(values) {
+    this.set(values);
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Booking.prototype, 'reload').mockImplementation(function reload() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+
+  // Free until 24 hours before the start, half the price after that
+  jest.spyOn(Service, 'findByPk').mockResolvedValue(Service.build({
+    id: 1,
+    price: '200.00',
+    freeCancellationHours: 24,
+    lateCancellationFeePercent: 50,
+    noShowFeePercent: 100
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/bookings/:id', () => {
+  test('a client cancelling inside the notice period is charged the late fee', async () => {
+    const res = await cancel(client);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellationFee).toEqual({ amount: '100.00', reason: 'late_cancellation', waived: false });
+  });
+
+  test('a client cancelling before the notice period pays nothing', async () => {
+    booking = confirmedBooking(48);
+
+    const res = await cancel(client);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellationFee.amount).toBe('0.00');
+    expect(res.body.cancellationFee.reason).toBeUndefined();
+  });
+
+  test('a photographer cancelling late costs the client nothing', async () => {
+    const res = await cancel(photographer);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellationFee.amount).toBe('0.00');
+  });
+
+  test('an admin can cancel and waive the fee at once', async () => {
+    const res = await cancel(admin, { waiveFee: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellationFee).toEqual({ amount: '100.00', reason: 'late_cancellation', waived: true });
+  });
+});
+
+describe('GET /api/bookings/:id/cancellation-quote', () => {
+  test('shows the client the fee and until when cancelling is free', async () => {
+    const res = await request(app).get('/api/bookings/10/cancellation-quote').set('Authorization', bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      fee: '100.00',
+      percent: 50,
+      reason: 'late_cancellation',
+      freeUntil: new Date(booking.startAt.getTime() - 24 * HOUR_MS).toISOString()
+    });
+  });
+});
+
+describe('PATCH /api/bookings/:id/cancellation-fee/waive', () => {
+  beforeEach(() => {
+    booking = confirmedBooking(2, { status: 'cancelled', cancellationFee: '100.00', cancellationFeeReason: 'late_cancellation' });
+  });
+
+  test('an admin waives the fee and the history records it', async () => {
+    const res = await waive(admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cancellationFee.waived).toBe(true);
+    expect(booking.cancellationFeeWaivedBy).toBe(admin.id);
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      note: 'Cancellation fee of 100.00 waived: Family emergency'
+    }), expect.anything());
+  });
+
+  test('a fee cannot be waived twice', async () => {
+    booking.cancellationFeeWaivedAt = new Date();
+
+    const res = await waive(admin);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('a booking without a fee has nothing to waive', async () => {
+    booking.cancellationFee = null;
+
+    const res = await waive(admin);
+
+    expect(res.status).toBe(409);
+  });
+
+  test('a client cannot waive their own fee', async () => {
+    const res = await waive(client);
+
+    expect(res.status).toBe(401);
+    expect(booking.cancellationFeeWaivedAt).toBeUndefined();
+  });
+});
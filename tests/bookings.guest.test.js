@@ -0,0 +1,205 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import PhotographerTimeOff from '../models/PhotographerTimeOff.js';
+import PhotographerWorkingHours from '../models/PhotographerWorkingHours.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import bookingRoutes from '../routes/bookings.js';
+import { linkGuestBookings, newGuestToken } from '../utils/guestBookings.js';
+import { USERS, bearer, createApp, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/bookings': bookingRoutes });
+const { client } = USERS;
+
+// Guest bookings are limited per IP for as long as the app runs, so each test
+// books from its own address
+app.set('trust proxy', 'loopback');
+let addresses = 0;
+let ip;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 10:00 UTC a week from now, inside the default studio hours
+const startAt = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS + 7 * DAY_MS + 10 * 60 * 60 * 1000);
+
+let service;
+let nextId;
+
+const book = (fields = {}) => request(app).post('/api/bookings').set('X-Forwarded-For', ip).send({
+  fullName: 'Jane Guest',
+  email: 'Jane@Example.com',
+  phoneNumber: '+44 20 7946 0000',
+  location: 'Studio',
+  serviceId: 1,
+  startAt: startAt.toISOString(),
+  ...fields
+});
+
+beforeEach(() => {
+  stubDatabase();
+  nextId = 100;
+  addresses += 1;
+  ip = `203.0.113.${addresses}`;
+
+  service = Service.build({
+    id: 1,
+    name: 'Portrait',
+    price: '100.00',
+    depositPercent: 0,
+    durationMinutes: 60,
+    isActive: true
+  });
+  jest.spyOn(Service, 'findByPk').mockImplementation(async () => service);
+
+  // One photographer with the studio hours and nothing booked
+  jest.spyOn(User, 'findAll').mockResolvedValue([{ id: 3 }]);
+  jest.spyOn(User, 'findByPk').mockResolvedValue({ id: client.id, emailVerified: true });
+  jest.spyOn(PhotographerWorkingHours, 'findAll').mockResolvedValue([]);
+  jest.spyOn(PhotographerTimeOff, 'findAll').mockResolvedValue([]);
+  jest.spyOn(Booking, 'findAll').mockResolvedValue([]);
+  jest.spyOn(Booking, 'create').mockImplementation(async values => Booking.build({ id: nextId++, ...values }));
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Booking.prototype, 'reload').mockImplementation(function reload() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/bookings as a guest', () => {
+  test('books without an account and keeps the magic-link token hash private', async () => {
+    const res = await book();
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking.email).toBe('jane@example.com');
+    expect(res.body.booking.guestAccessTokenHash).toBeUndefined();
+    expect(Booking.create).toHaveBeenCalledWith(
+      expect.objectContaining({ guestAccessTokenHash: expect.stringMatching(/^[0-9a-f]{64}$/) }),
+      expect.anything()
+    );
+    expect(Booking.create.mock.calls[0][0].clientId).toBeUndefined();
+  });
+
+  test('a guest must leave a phone number', async () => {
+    const res = await book({ phoneNumber: undefined });
+
+    expect(res.status).toBe(400);
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+
+  test('a service that takes a deposit needs an account', async () => {
+    service.depositPercent = 20;
+
+    const res = await book();
+
+    expect(res.status).toBe(401);
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+
+  test('each IP can make 3 guest bookings an hour', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      expect((await book()).status).toBe(201);
+    }
+
+    const res = await book();
+
+    expect(res.status).toBe(429);
+    expect(Booking.create).toHaveBeenCalledTimes(3);
+  });
+
+  test('a logged-in client is not held to the guest limit', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      expect((await book()).status).toBe(201);
+    }
+
+    const res = await book().set('Authorization', bearer(client));
+
+    expect(res.status).toBe(201);
+    expect(res.body.booking.clientId).toBe(client.id);
+  });
+});
+
+describe('the magic link', () => {
+  let guest;
+  let booking;
+
+  beforeEach(() => {
+    guest = newGuestToken();
+    booking = Booking.build({
+      id: 10,
+      clientId: null,
+      guestAccessTokenHash: guest.tokenHash,
+      serviceId: 1,
+      status: 'pending',
+      startAt,
+      endAt: new Date(startAt.getTime() + 60 * 60 * 1000)
+    }, { isNewRecord: false });
+    jest.spyOn(Booking, 'findOne').mockImplementation(async ({ where }) =>
+      (where.guestAccessTokenHash === booking.guestAccessTokenHash ? booking : null));
+  });
+
+  test('shows the guest their booking', async () => {
+    const res = await request(app).get(`/api/bookings/guest/${guest.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.id).toBe(10);
+  });
+
+  test('lets the guest cancel their booking', async () => {
+    const res = await request(app).delete(`/api/bookings/guest/${guest.token}`).send({ reason: 'Plans changed' });
+
+    expect(res.status).toBe(200);
+    expect(booking.status).toBe('cancelled');
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      changedBy: null,
+      changedByRole: 'client',
+      note: 'Plans changed'
+    }), expect.anything());
+  });
+
+  test('an unknown token gets 404', async () => {
+    const res = await request(app).get(`/api/bookings/guest/${newGuestToken().token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('a malformed token gets 400 without a lookup', async () => {
+    const view = await request(app).get('/api/bookings/guest/not-a-token');
+    const cancel = await request(app).delete('/api/bookings/guest/not-a-token');
+
+    expect(view.status).toBe(400);
+    expect(view.body.errors[0].field).toBe('token');
+    expect(cancel.status).toBe(400);
+    expect(Booking.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('linkGuestBookings', () => {
+  beforeEach(() => {
+    jest.spyOn(Booking, 'update').mockResolvedValue([2]);
+  });
+
+  test('gives a verified client the guest bookings made with their email', async () => {
+    const user = { id: 1, role: 'client', email: 'jane@example.com', emailVerified: true };
+
+    expect(await linkGuestBookings(user)).toBe(2);
+    expect(Booking.update).toHaveBeenCalledWith(
+      { clientId: 1 },
+      expect.objectContaining({ where: { clientId: null, email: 'jane@example.com' } })
+    );
+  });
+
+  test('leaves them alone until the email is verified', async () => {
+    const user = { id: 1, role: 'client', email: 'jane@example.com', emailVerified: false };
+
+    expect(await linkGuestBookings(user)).toBe(0);
+    expect(Booking.update).not.toHaveBeenCalled();
+  });
+});
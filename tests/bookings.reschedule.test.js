@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import BookingRescheduleRequest from '../models/BookingRescheduleRequest.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import PhotographerTimeOff from '../models/PhotographerTimeOff.js';
+import PhotographerWorkingHours from '../models/PhotographerWorkingHours.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import bookingRoutes from '../routes/bookings.js';
+import { USERS, bearer, createApp, matchRows, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/bookings': bookingRoutes });
+const { client, photographer, otherPhotographer } = USERS;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const startAt = new Date(Date.now() + 7 * DAY_MS);
+const newStartAt = new Date(Date.now() + 8 * DAY_MS);
+
+let booking;
+let rescheduleRequest;
+let photographerBookings;
+
+const answer = (action, user = photographer, body = {}) => request(app)
+  .patch(`/api/bookings/10/reschedule-requests/20/${action}`)
+  .set('Authorization', bearer(user))
+  .send(body);
+
+// Model#update applied in memory
+const updateInMemory = function update(values) {
+  this.set(values);
+  return Promise.resolve(this);
+};
+
+beforeEach(() => {
+  stubDatabase();
+
+  booking = Booking.build({
+    id: 10,
+    clientId: client.id,
+    photographerId: photographer.id,
+    serviceId: 1,
+    status: 'confirmed',
+    startAt,
+    endAt: new Date(startAt.getTime() + HOUR_MS)
+  }, { isNewRecord: false });
+  rescheduleRequest = BookingRescheduleRequest.build({
+    id: 20,
+    bookingId: 10,
+    requestedBy: client.id,
+    startAt: newStartAt,
+    status: 'pending'
+  }, { isNewRecord: false });
+  photographerBookings = [];
+
+  jest.spyOn(Booking, 'findOne').mockImplementation(async options => matchRows([booking])(options)[0] || null);
+  jest.spyOn(BookingRescheduleRequest, 'findOne')
+    .mockImplementation(async options => matchRows([rescheduleRequest])(options)[0] || null);
+  jest.spyOn(Booking.prototype, 'update').mockImplementation(updateInMemory);
+  jest.spyOn(BookingRescheduleRequest.prototype, 'update').mockImplementation(updateInMemory);
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+  jest.spyOn(Service, 'findByPk').mockResolvedValue(Service.build({ id: 1, price: '100.00', durationMinutes: 60 }));
+  jest.spyOn(User, 'findByPk').mockResolvedValue({ id: photographer.id });
+
+  // The photographer has no hours or time off set up, so only their other
+  // bookings can get in the way
+  jest.spyOn(PhotographerWorkingHours, 'findAll').mockResolvedValue([]);
+  jest.spyOn(PhotographerTimeOff, 'findAll').mockResolvedValue([]);
+  jest.spyOn(Booking, 'findAll').mockImplementation(async () => photographerBookings);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PATCH /api/bookings/:id/reschedule-requests/:requestId/accept', () => {
+  test('the photographer moves the booking to the requested time', async () => {
+    const res = await answer('accept', photographer, { note: 'See you then' });
+
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.booking.startAt)).toEqual(newStartAt);
+    expect(new Date(res.body.booking.endAt)).toEqual(new Date(newStartAt.getTime() + HOUR_MS));
+    expect(res.body.rescheduleRequest.status).toBe('accepted');
+    expect(res.body.rescheduleRequest.responseNote).toBe('See you then');
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      bookingId: 10,
+      fromStatus: 'confirmed',
+      toStatus: 'confirmed'
+    }), expect.anything());
+  });
+
+  test('a time the photographer has since filled is refused and the booking keeps its time', async () => {
+    photographerBookings = [{ id: 12, startAt: newStartAt, endAt: new Date(newStartAt.getTime() + HOUR_MS) }];
+
+    const res = await answer('accept');
+
+    expect(res.status).toBe(409);
+    expect(booking.startAt).toEqual(startAt);
+    expect(rescheduleRequest.status).toBe('pending');
+  });
+
+  test('another photographer cannot answer it', async () => {
+    const res = await answer('accept', otherPhotographer);
+
+    expect(res.status).toBe(404);
+    expect(rescheduleRequest.status).toBe('pending');
+  });
+});
+
+describe('PATCH /api/bookings/:id/reschedule-requests/:requestId/decline', () => {
+  test('the booking keeps its time and the request records the answer', async () => {
+    const res = await answer('decline', photographer, { note: 'Fully booked that week' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.rescheduleRequest.status).toBe('declined');
+    expect(res.body.rescheduleRequest.respondedBy).toBe(photographer.id);
+    expect(booking.startAt).toEqual(startAt);
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith(expect.objectContaining({
+      note: 'Reschedule request 20 declined: Fully booked that week'
+    }), expect.anything());
+  });
+
+  test('a request that was already answered cannot be answered again', async () => {
+    rescheduleRequest.status = 'accepted';
+
+    const res = await answer('decline');
+
+    expect(res.status).toBe(409);
+    expect(rescheduleRequest.status).toBe('accepted');
+  });
+});
@@ -0,0 +1,267 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import request from 'supertest';
+import Booking from '../models/Booking.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import bookingRoutes from '../routes/bookings.js';
+import { USERS, bearer, createApp, matchRows, stubDatabase } from './helpers.js';
+
+const app = createApp({ '/api/bookings': bookingRoutes });
+const { client, otherClient, photographer, otherPhotographer, admin } = USERS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let bookings;
+
+const booking = (id, fields) => Booking.build({
+  id,
+  fullName: 'Jane Client',
+  email: 'jane@example.com',
+  phoneNumber: '+44 20 7946 0000',
+  serviceId: 1,
+  location: 'Studio',
+  startAt: new Date(Date.now() + 7 * DAY_MS),
+  endAt: new Date(Date.now() + 7 * DAY_MS + 60 * 60 * 1000),
+  timezone: 'UTC',
+  cancellationFee: null,
+  ...fields
+}, { isNewRecord: false });
+
+beforeEach(() => {
+  stubDatabase();
+
+  // Booking 10 is the client's, assigned to the photographer; booking 11
+  // belongs to another client and another photographer
+  bookings = [
+    booking(10, { clientId: client.id, photographerId: photographer.id, status: 'confirmed' }),
+    booking(11, { clientId: otherClient.id, photographerId: otherPhotographer.id, status: 'pending' })
+  ];
+
+  const findBookings = matchRows(bookings);
+  jest.spyOn(Booking, 'findOne').mockImplementation(async options => findBookings(options)[0] || null);
+  jest.spyOn(Booking, 'findAll').mockImplementation(async options => findBookings(options));
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Booking.prototype, 'reload').mockImplementation(function reload() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+  jest.spyOn(Service, 'findByPk').mockResolvedValue(Service.build({
+    id: 1,
+    name: 'Portrait',
+    price: '100.00',
+    depositAmount: 0,
+    freeCancellationHours: 0,
+    lateCancellationFeePercent: 0,
+    noShowFeePercent: 0
+  }));
+  jest.spyOn(User, 'findByPk').mockImplementation(async id =>
+    Object.values(USERS).find(user => String(user.id) === String(id)) || null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/bookings/my-bookings/:id', () => {
+  test('a client sees their own booking', async () => {
+    const res = await request(app).get('/api/bookings/my-bookings/10').set('Authorization', bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.id).toBe(10);
+  });
+
+  test('a client cannot see another client\'s booking', async () => {
+    const res = await request(app).get('/api/bookings/my-bookings/11').set('Authorization', bearer(client));
+
+    expect(res.status).toBe(404);
+  });
+
+  test('a photographer cannot use it for a booking assigned to them', async () => {
+    const res = await request(app).get('/api/bookings/my-bookings/10').set('Authorization', bearer(photographer));
+
+    expect(res.status).toBe(404);
+  });
+
+  test('an admin only gets bookings they made as a client', async () => {
+    const res = await request(app).get('/api/bookings/my-bookings/10').set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PATCH /api/bookings/my-bookings/:id', () => {
+  test('a client updates their own booking', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/my-bookings/10')
+      .set('Authorization', bearer(client))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.location).toBe('Riverside Park');
+  });
+
+  test('a client cannot update another client\'s booking', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/my-bookings/11')
+      .set('Authorization', bearer(client))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(404);
+    expect(bookings[1].location).toBe('Studio');
+  });
+
+  test('a photographer cannot update a booking assigned to them through it', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/my-bookings/10')
+      .set('Authorization', bearer(photographer))
+      .send({ additionalDetails: 'Bring a reflector' });
+
+    expect(res.status).toBe(404);
+    expect(bookings[0].additionalDetails).toBeUndefined();
+  });
+
+  test('an admin cannot update a client\'s booking through it', async () => {
+    const res = await request(app)
+      .patch('/api/bookings/my-bookings/10')
+      .set('Authorization', bearer(admin))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(404);
+    expect(bookings[0].location).toBe('Studio');
+  });
+});
+
+describe('PUT /api/bookings/:id', () => {
+  test('a client updates their own booking', async () => {
+    const res = await request(app)
+      .put('/api/bookings/10')
+      .set('Authorization', bearer(client))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.location).toBe('Riverside Park');
+  });
+
+  test('a client cannot update another client\'s booking', async () => {
+    const res = await request(app)
+      .put('/api/bookings/11')
+      .set('Authorization', bearer(client))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('a photographer updates the details of a booking assigned to them', async () => {
+    const res = await request(app)
+      .put('/api/bookings/10')
+      .set('Authorization', bearer(photographer))
+      .send({ additionalDetails: 'Bring a reflector' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.additionalDetails).toBe('Bring a reflector');
+  });
+
+  test('a photographer cannot change fields reserved to the client', async () => {
+    const res = await request(app)
+      .put('/api/bookings/10')
+      .set('Authorization', bearer(photographer))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(400);
+    expect(bookings[0].location).toBe('Studio');
+  });
+
+  test('a photographer cannot update a booking assigned to someone else', async () => {
+    const res = await request(app)
+      .put('/api/bookings/11')
+      .set('Authorization', bearer(photographer))
+      .send({ additionalDetails: 'Bring a reflector' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('an admin updates any booking', async () => {
+    const res = await request(app)
+      .put('/api/bookings/11')
+      .set('Authorization', bearer(admin))
+      .send({ location: 'Riverside Park' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.location).toBe('Riverside Park');
+  });
+});
+
+describe('DELETE /api/bookings/:id', () => {
+  test('a client cancels their own booking', async () => {
+    const res = await request(app).delete('/api/bookings/10').set('Authorization', bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('cancelled');
+  });
+
+  test('a client cannot cancel another client\'s booking', async () => {
+    const res = await request(app).delete('/api/bookings/11').set('Authorization', bearer(client));
+
+    expect(res.status).toBe(404);
+    expect(bookings[1].status).toBe('pending');
+  });
+
+  test('a photographer cancels a booking assigned to them', async () => {
+    const res = await request(app).delete('/api/bookings/10').set('Authorization', bearer(photographer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('cancelled');
+  });
+
+  test('a photographer cannot cancel a booking assigned to someone else', async () => {
+    const res = await request(app).delete('/api/bookings/11').set('Authorization', bearer(photographer));
+
+    expect(res.status).toBe(404);
+    expect(bookings[1].status).toBe('pending');
+  });
+
+  test('an admin cancels any booking', async () => {
+    const res = await request(app).delete('/api/bookings/11').set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('cancelled');
+  });
+});
+
+describe('GET /api/bookings/photographer/:id', () => {
+  test('a client is refused', async () => {
+    const res = await request(app).get(`/api/bookings/photographer/${photographer.id}`).set('Authorization', bearer(client));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a photographer is refused, even for their own id', async () => {
+    const res = await request(app).get(`/api/bookings/photographer/${photographer.id}`).set('Authorization', bearer(photographer));
+
+    expect(res.status).toBe(401);
+  });
+
+  test('an admin gets only the bookings assigned to that photographer', async () => {
+    const res = await request(app).get(`/api/bookings/photographer/${photographer.id}`).set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.bookings.map(row => row.id)).toEqual([10]);
+  });
+
+  test('an admin gets 404 for a user who is not a photographer', async () => {
+    const res = await request(app).get(`/api/bookings/photographer/${client.id}`).set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(404);
+  });
+
+  test('an id that is not a number gets 400 without a lookup', async () => {
+    const res = await request(app).get('/api/bookings/photographer/abc').set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('id');
+    expect(User.findByPk).not.toHaveBeenCalledWith('abc');
+  });
+});
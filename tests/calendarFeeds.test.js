@@ -0,0 +1,34 @@
+import { describe, expect, test } from '@jest/globals';
+import { bookingCalendar } from '../utils/calendarFeeds.js';
+
+const booking = fields => ({
+  id: 12,
+  fullName: 'Jane Guest',
+  email: 'jane@example.com',
+  phoneNumber: null,
+  location: 'Studio',
+  status: 'confirmed',
+  startAt: new Date('2030-05-03T15:00:00Z'),
+  endAt: new Date('2030-05-03T16:00:00Z'),
+  updatedAt: new Date('2030-04-01T09:00:00Z'),
+  service: { name: 'Portrait session' },
+  ...fields
+});
+
+// Unfolds RFC 5545 continuation lines so assertions can match whole values
+const unfold = calendar => calendar.replace(/\r\n /g, '');
+
+describe('bookingCalendar', () => {
+  test('leaves the phone line out when the booking has no phone number', () => {
+    const calendar = unfold(bookingCalendar(booking()));
+
+    expect(calendar).toContain('Email: jane@example.com');
+    expect(calendar).not.toContain('Phone:');
+  });
+
+  test('includes the phone number when there is one', () => {
+    const calendar = unfold(bookingCalendar(booking({ phoneNumber: '+44 20 7946 0000' })));
+
+    expect(calendar).toContain('Phone: +44 20 7946 0000');
+  });
+});
@@ -0,0 +1,51 @@
+import express from 'express';
+import 'express-async-errors';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import { sequelize } from '../config/db.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { errorHandlerMiddleware } from '../middleware/error-handler.js';
+import logger from '../utils/logger.js';
+
+// Route tests run against the real routers with the model calls they make
+// replaced by jest spies, so no database is needed.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+logger.silent = true;
+
+export const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandlerMiddleware);
+  return app;
+};
+
+export const USERS = {
+  client: { id: 1, username: 'client', role: 'client' },
+  otherClient: { id: 2, username: 'other-client', role: 'client' },
+  photographer: { id: 3, username: 'photographer', role: 'photographer' },
+  otherPhotographer: { id: 4, username: 'other-photographer', role: 'photographer' },
+  admin: { id: 5, username: 'admin', role: 'admin' }
+};
+
+export const bearer = user => `Bearer ${jwt.sign(
+  { userId: user.id, username: user.username, role: user.role },
+  process.env.JWT_SECRET,
+  { expiresIn: '15m' }
+)}`;
+
+// Runs transaction callbacks with a stand-in transaction whose afterCommit
+// hooks are dropped, and treats every access token as unrevoked
+export const stubDatabase = () => {
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async callback => callback({
+    LOCK: { UPDATE: 'UPDATE' },
+    afterCommit: () => {}
+  }));
+  jest.spyOn(RevokedToken, 'findByPk').mockResolvedValue(null);
+};
+
+// Stands in for Model.findOne/findAll over rows kept in memory, matching the
+// plain equality conditions in `where`
+export const matchRows = rows => ({ where = {} } = {}) => rows.filter(row =>
+  Object.entries(where).every(([field, value]) => String(row[field]) === String(value)));
@@ -0,0 +1,69 @@
+import { UniqueConstraintError } from 'sequelize';
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Booking from '../models/Booking.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceLineItem from '../models/InvoiceLineItem.js';
+import Payment from '../models/Payment.js';
+import Service from '../models/Service.js';
+import Setting from '../models/Setting.js';
+import { findOrIssueInvoice, issueInvoice } from '../utils/invoices.js';
+import { stubDatabase } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+let settings;
+let booking;
+
+beforeEach(() => {
+  stubDatabase();
+  settings = { studioName: 'North Light Studio', studioAddress: '1 High Street, London', taxLabel: 'VAT', taxRate: 20 };
+  const startAt = new Date(Date.now() - 2 * HOUR_MS);
+  booking = Booking.build({
+    id: 10,
+    clientId: 1,
+    serviceId: 1,
+    fullName: 'Jane Client',
+    email: 'jane@example.com',
+    status: 'completed',
+    startAt,
+    endAt: new Date(startAt.getTime() + HOUR_MS),
+    timezone: 'UTC'
+  }, { isNewRecord: false });
+
+  jest.spyOn(Setting, 'findByPk').mockImplementation(async () => ({ value: settings }));
+  jest.spyOn(Service, 'findByPk').mockResolvedValue(Service.build({ id: 1, name: 'Portrait', price: '100.00' }));
+  jest.spyOn(Payment, 'findAll').mockResolvedValue([]);
+  jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Invoice, 'create').mockImplementation(async values => Invoice.build({ id: 3, ...values }));
+  jest.spyOn(InvoiceLineItem, 'bulkCreate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('issueInvoice', () => {
+  test('copies the studio details from the settings it is issued under', async () => {
+    const invoice = await issueInvoice(booking, { transaction });
+
+    expect(invoice.studioName).toBe('North Light Studio');
+    expect(invoice.studioAddress).toBe('1 High Street, London');
+    expect(invoice.total).toBe('120.00');
+  });
+});
+
+describe('findOrIssueInvoice', () => {
+  test('returns the invoice a request running alongside it issued first', async () => {
+    const issued = Invoice.build({ id: 3, bookingId: 10, number: 'INV-000001' }, { isNewRecord: false });
+    // Nothing there at first; the other request's invoice once the insert clashes
+    Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null).mockResolvedValue(issued);
+    Invoice.create.mockRejectedValue(new UniqueConstraintError({ fields: { bookingId: 10 } }));
+    jest.spyOn(Invoice.prototype, 'reload').mockImplementation(function reload() {
+      return Promise.resolve(this);
+    });
+
+    expect(await findOrIssueInvoice(booking)).toBe(issued);
+  });
+});
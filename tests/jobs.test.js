@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Booking from '../models/Booking.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import { runJobs } from '../utils/jobs.js';
+import { registerTransport } from '../utils/mailer.js';
+import { USERS } from './helpers.js';
+
+const { client, photographer } = USERS;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let failingAddresses;
+let mailed;
+
+const runReminders = async () => (await runJobs(['session-reminders']))['session-reminders'];
+
+beforeEach(() => {
+  // Emails go to the test transport, which refuses the addresses in
+  // failingAddresses
+  failingAddresses = [];
+  mailed = [];
+  registerTransport('test', async (message) => {
+    if (failingAddresses.includes(message.to)) {
+      throw new Error('SMTP connection refused');
+    }
+    mailed.push(message.to);
+  });
+  process.env.MAIL_TRANSPORT = 'test';
+
+  const startAt = new Date(Date.now() + 2 * HOUR_MS);
+  jest.spyOn(Booking, 'findAll').mockResolvedValue([Booking.build({
+    id: 10,
+    clientId: client.id,
+    photographerId: photographer.id,
+    serviceId: 1,
+    fullName: 'Jane Client',
+    email: 'jane@example.com',
+    status: 'confirmed',
+    startAt,
+    endAt: new Date(startAt.getTime() + HOUR_MS),
+    timezone: 'UTC',
+    reminderSentAt: null
+  }, { isNewRecord: false })]);
+  jest.spyOn(Booking, 'update').mockResolvedValue([1]);
+  jest.spyOn(Service, 'findByPk').mockResolvedValue({ name: 'Portrait' });
+  jest.spyOn(User, 'findByPk').mockImplementation(async id => (id === photographer.id
+    ? { id, username: 'photographer', email: 'photographer@example.com' }
+    : { id, username: 'client', email: 'client@example.com' }));
+  jest.spyOn(NotificationPreference, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  delete process.env.MAIL_TRANSPORT;
+  jest.restoreAllMocks();
+});
+
+describe('session-reminders', () => {
+  test('claims the booking and reminds the client and photographer', async () => {
+    expect(await runReminders()).toEqual({ sent: 1, failed: 0 });
+
+    expect(mailed).toEqual(['jane@example.com', 'photographer@example.com']);
+    expect(Booking.update).toHaveBeenCalledTimes(1);
+    expect(Booking.update).toHaveBeenCalledWith(
+      { reminderSentAt: expect.any(Date) },
+      { where: { id: 10, reminderSentAt: null } }
+    );
+  });
+
+  test('a reminder nobody got is released for the next run', async () => {
+    failingAddresses = ['jane@example.com', 'photographer@example.com'];
+
+    expect(await runReminders()).toEqual({ sent: 0, failed: 1 });
+
+    const [[claim]] = Booking.update.mock.calls;
+    expect(Booking.update).toHaveBeenLastCalledWith(
+      { reminderSentAt: null },
+      { where: { id: 10, reminderSentAt: claim.reminderSentAt } }
+    );
+  });
+
+  test('a reminder some got is counted as failed but not sent again', async () => {
+    failingAddresses = ['photographer@example.com'];
+
+    expect(await runReminders()).toEqual({ sent: 0, failed: 1 });
+
+    expect(mailed).toEqual(['jane@example.com']);
+    expect(Booking.update).toHaveBeenCalledTimes(1);
+  });
+});
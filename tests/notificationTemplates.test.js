@@ -0,0 +1,19 @@
+import { describe, expect, test } from '@jest/globals';
+import { renderNotification } from '../utils/notificationTemplates.js';
+
+const context = {
+  recipient: { name: 'Jane', role: 'client' },
+  booking: { id: 12, clientId: 1, location: 'Studio' },
+  serviceName: 'Portrait session',
+  when: 'Friday 3 May 2024 at 15:00',
+  link: 'http://localhost:5173/bookings/12'
+};
+
+describe('booking_reminder', () => {
+  test('names the session time rather than assuming it is tomorrow', () => {
+    const message = renderNotification('booking_reminder', context);
+
+    expect(message.subject).toBe('Reminder: booking #12 on Friday 3 May 2024 at 15:00');
+    expect(message.subject).not.toMatch(/tomorrow/);
+  });
+});
@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Booking from '../models/Booking.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import Payment from '../models/Payment.js';
+import { signWebhookPayload } from '../utils/paymentProviders.js';
+import { handlePaymentWebhook } from '../utils/payments.js';
+import { stubDatabase } from './helpers.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+let payment;
+let booking;
+
+// A signed payment_intent.succeeded event, as the provider would send it
+const succeeded = (amountReceived) => {
+  const body = JSON.stringify({
+    type: 'payment_intent.succeeded',
+    data: { object: { id: 'pi_fake_1', amount_received: amountReceived } }
+  });
+  return [body, { 'stripe-signature': signWebhookPayload(body, WEBHOOK_SECRET) }];
+};
+
+// Model#update applied in memory
+const updateInMemory = function update(values) {
+  this.set(values);
+  return Promise.resolve(this);
+};
+
+beforeEach(() => {
+  process.env.PAYMENT_PROVIDER = 'fake';
+  process.env.PAYMENT_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  stubDatabase();
+
+  payment = Payment.build({
+    id: 1,
+    bookingId: 10,
+    purpose: 'deposit',
+    provider: 'fake',
+    providerPaymentId: 'pi_fake_1',
+    amount: '37.50',
+    currency: 'usd',
+    status: 'pending'
+  }, { isNewRecord: false });
+  booking = Booking.build({ id: 10, serviceId: 1, photographerId: 3, status: 'pending' }, { isNewRecord: false });
+
+  jest.spyOn(Payment, 'findOne').mockResolvedValue(payment);
+  jest.spyOn(Payment.prototype, 'update').mockImplementation(updateInMemory);
+  jest.spyOn(Booking, 'findByPk').mockResolvedValue(booking);
+  jest.spyOn(Booking.prototype, 'update').mockImplementation(updateInMemory);
+  jest.spyOn(Booking.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(BookingStatusHistory, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROVIDER;
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+  jest.restoreAllMocks();
+});
+
+describe('handlePaymentWebhook', () => {
+  test('a success for the deposit amount confirms the booking', async () => {
+    expect(await handlePaymentWebhook(...succeeded(3750))).toBe(true);
+
+    expect(payment.status).toBe('succeeded');
+    expect(booking.status).toBe('confirmed');
+    expect(booking.depositPaidAt).toEqual(payment.paidAt);
+  });
+
+  test('a success for another amount leaves the deposit unpaid', async () => {
+    expect(await handlePaymentWebhook(...succeeded(100))).toBe(false);
+
+    expect(payment.status).toBe('pending');
+    expect(booking.status).toBe('pending');
+    expect(booking.depositPaidAt).toBeUndefined();
+  });
+
+  test('a success without an amount leaves the deposit unpaid', async () => {
+    expect(await handlePaymentWebhook(...succeeded(undefined))).toBe(false);
+
+    expect(payment.status).toBe('pending');
+  });
+});
@@ -0,0 +1,243 @@
+import { Op } from 'sequelize';
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import PhotographerWorkingHours from '../models/PhotographerWorkingHours.js';
+import PhotographerTimeOff from '../models/PhotographerTimeOff.js';
+import { BadRequestError, ConflictError } from '../errors/index.js';
+import { addMinutes, studioTimezone, zonedParts, zonedTimeToUtc } from './time.js';
+
+// Longest range the public slot search covers in one request
+export const MAX_SLOT_SEARCH_DAYS = 31;
+
+const slotIntervalMinutes = () => parseInt(process.env.SLOT_INTERVAL_MINUTES, 10) || 30;
+
+// Hours offered to clients for photographers who have not set their own,
+// STUDIO_HOURS="09:00-17:00" by default, every day of the week
+const studioHours = () => {
+  const [startTime, endTime] = (process.env.STUDIO_HOURS || '09:00-17:00').split('-');
+  return [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime, endTime }));
+};
+
+// "HH:MM" working hours boundaries; "24:00" is allowed as an end of day
+export const parseClockTime = (text) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(text || ''));
+  if (!match) {
+    return null;
+  }
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= 24 * 60 ? minutes : null;
+};
+
+// { start, end } of a session of this service starting at startAt
+export const sessionWindow = (service, startAt) => ({
+  start: startAt,
+  end: addMinutes(startAt, service.durationMinutes)
+});
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// Everything that limits when a photographer can work between from and to:
+// weekly hours, time off, and the bookings they already hold (confirmed, or
+// assigned but waiting for a deposit).
+export const loadPhotographerSchedule = async (photographerId, from, to, { excludeBookingId, transaction } = {}) => {
+  const bookingWhere = {
+    photographerId,
+    status: ['pending', 'confirmed'],
+    startAt: { [Op.lt]: to },
+    endAt: { [Op.gt]: from }
+  };
+  if (excludeBookingId) {
+    bookingWhere.id = { [Op.ne]: excludeBookingId };
+  }
+
+  const [workingHours, timeOff, bookings] = await Promise.all([
+    PhotographerWorkingHours.findAll({ where: { photographerId }, transaction }),
+    PhotographerTimeOff.findAll({
+      where: { photographerId, startsAt: { [Op.lt]: to }, endsAt: { [Op.gt]: from } },
+      transaction
+    }),
+    Booking.findAll({ where: bookingWhere, attributes: ['id', 'startAt', 'endAt'], transaction })
+  ]);
+
+  return {
+    workingHours,
+    timeOff: timeOff.map(period => ({ start: period.startsAt, end: period.endsAt, kind: period.kind })),
+    busy: bookings.map(booking => ({ bookingId: booking.id, start: booking.startAt, end: booking.endAt }))
+  };
+};
+
+// No hours set up means no restriction, so existing photographers keep working.
+// Hours are wall-clock times in the studio timezone.
+const withinWorkingHours = (workingHours, window) => {
+  if (workingHours.length === 0) {
+    return true;
+  }
+
+  const start = zonedParts(window.start, studioTimezone());
+  const startMinutes = start.hour * 60 + start.minute;
+  const endMinutes = startMinutes + (window.end - window.start) / 60000;
+
+  return workingHours.some(hours => hours.dayOfWeek === start.dayOfWeek
+    && parseClockTime(hours.startTime) <= startMinutes
+    && endMinutes <= parseClockTime(hours.endTime));
+};
+
+// Why the photographer cannot take the window, or null when they can
+export const scheduleConflict = (schedule, window) => {
+  if (!withinWorkingHours(schedule.workingHours, window)) {
+    return 'outside working hours';
+  }
+
+  const away = schedule.timeOff.find(period => overlaps(period, window));
+  if (away) {
+    return away.kind === 'blackout' ? 'on a blackout date' : 'on time off';
+  }
+
+  const clash = schedule.busy.find(booking => overlaps(booking, window));
+  if (clash) {
+    return `already booked (booking ${clash.bookingId})`;
+  }
+
+  return null;
+};
+
+// Throws ConflictError (409) unless the photographer is free for the whole
+// booking. Run it in the same transaction that assigns the photographer.
+export const assertPhotographerAvailable = async (photographerId, booking, { transaction } = {}) => {
+  const window = { start: booking.startAt, end: booking.endAt };
+
+  const schedule = await loadPhotographerSchedule(photographerId, window.start, window.end, {
+    excludeBookingId: booking.id,
+    transaction
+  });
+  const conflict = scheduleConflict(schedule, window);
+  if (conflict) {
+    throw new ConflictError(`Photographer is not available at that time: ${conflict}`);
+  }
+};
+
+// Public slots come from each photographer's own hours, or the studio hours
+const bookableSchedule = (schedule) => (schedule.workingHours.length > 0
+  ? schedule
+  : { ...schedule, workingHours: studioHours() });
+
+// Pending bookings nobody has taken yet still need a photographer, so each
+// one uses up a free photographer for its time
+const loadUnassignedWindows = async (from, to, { excludeBookingId, transaction } = {}) => {
+  const where = {
+    status: 'pending',
+    photographerId: null,
+    startAt: { [Op.lt]: to },
+    endAt: { [Op.gt]: from }
+  };
+  if (excludeBookingId) {
+    where.id = { [Op.ne]: excludeBookingId };
+  }
+
+  const bookings = await Booking.findAll({ where, attributes: ['startAt', 'endAt'], transaction });
+  return bookings.map(booking => ({ start: booking.startAt, end: booking.endAt }));
+};
+
+// Inside a transaction the photographers' rows are locked until it ends (in id
+// order, so two checks cannot deadlock), which makes concurrent slot checks
+// and assignments count free photographers one after the other
+const photographerSchedules = async (from, to, { excludeBookingId, transaction } = {}) => {
+  const photographers = await User.findAll({
+    where: { role: 'photographer' },
+    attributes: ['id'],
+    order: [['id', 'ASC']],
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+  return Promise.all(photographers.map(async photographer => bookableSchedule(
+    await loadPhotographerSchedule(photographer.id, from, to, { excludeBookingId, transaction }))));
+};
+
+// Session windows of the given length that fit in a schedule's working hours,
+// walking the studio's calendar days from `from` to `to`
+const candidateWindows = (workingHours, from, to, durationMinutes) => {
+  const timezone = studioTimezone();
+  const windows = [];
+  const step = slotIntervalMinutes();
+  const first = zonedParts(from, timezone);
+
+  for (let offset = 0; ; offset += 1) {
+    const calendarDay = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const day = {
+      year: calendarDay.getUTCFullYear(),
+      month: calendarDay.getUTCMonth() + 1,
+      day: calendarDay.getUTCDate()
+    };
+    if (zonedTimeToUtc(day, timezone) >= to) {
+      break;
+    }
+
+    workingHours.filter(hours => hours.dayOfWeek === calendarDay.getUTCDay()).forEach((hours) => {
+      const close = parseClockTime(hours.endTime);
+      for (let minute = parseClockTime(hours.startTime); minute + durationMinutes <= close; minute += step) {
+        const start = zonedTimeToUtc({ ...day, minute }, timezone);
+        const end = addMinutes(start, durationMinutes);
+        if (start >= from && end <= to) {
+          windows.push({ start, end });
+        }
+      }
+    });
+  }
+
+  return windows;
+};
+
+// Every start time between from and to when at least one photographer can
+// take a session of this service. capacity is how many could.
+export const findAvailableSlots = async (service, from, to) => {
+  const earliest = new Date(Math.max(from.getTime(), Date.now()));
+
+  const [schedules, unassigned] = await Promise.all([
+    photographerSchedules(earliest, to),
+    loadUnassignedWindows(earliest, to)
+  ]);
+
+  const free = new Map();
+  schedules.forEach((schedule) => {
+    candidateWindows(schedule.workingHours, earliest, to, service.durationMinutes)
+      .filter(window => !scheduleConflict(schedule, window))
+      .forEach((window) => {
+        const key = window.start.getTime();
+        free.set(key, { window, count: (free.get(key)?.count || 0) + 1 });
+      });
+  });
+
+  return [...free.values()]
+    .map(({ window, count }) => ({
+      window,
+      capacity: count - unassigned.filter(other => overlaps(other, window)).length
+    }))
+    .filter(slot => slot.capacity > 0)
+    .sort((a, b) => a.window.start - b.window.start)
+    .map(({ window, capacity }) => ({ startAt: window.start, endAt: window.end, capacity }));
+};
+
+// Throws unless a session of this service starting at startAt could be
+// staffed: it must be in the future, in someone's hours and not already
+// spoken for. Returns the session's { start, end }. excludeBookingId is the
+// booking being moved, which must not count against itself.
+//
+// Run it in the transaction that saves the booking, before that transaction
+// reads anything else: the photographer locks are taken first, so the reads
+// after them see bookings other requests committed while this one waited.
+export const assertSlotAvailable = async (service, startAt, { excludeBookingId, transaction } = {}) => {
+  const window = sessionWindow(service, startAt);
+  if (window.start <= new Date()) {
+    throw new BadRequestError('Bookings must be in the future');
+  }
+
+  const schedules = await photographerSchedules(window.start, window.end, { excludeBookingId, transaction });
+  const unassigned = await loadUnassignedWindows(window.start, window.end, { excludeBookingId, transaction });
+
+  const freePhotographers = schedules.filter(schedule => !scheduleConflict(schedule, window)).length;
+  if (freePhotographers <= unassigned.length) {
+    throw new ConflictError('That time is not available, please pick a slot from the availability search');
+  }
+
+  return window;
+};
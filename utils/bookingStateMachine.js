@@ -0,0 +1,108 @@
+import { sequelize } from '../config/db.js';
+import BookingStatusHistory from '../models/BookingStatusHistory.js';
+import Service from '../models/Service.js';
+import { issueInvoice } from './invoices.js';
+import { cancellationFeeChanges } from './cancellationPolicy.js';
+import { notifyBookingAfterCommit } from './notifications.js';
+import { BadRequestError, ConflictError } from '../errors/index.js';
+
+// Legal status changes and the roles allowed to make each one. Anything not
+// listed is refused. completed, cancelled and no_show are final.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'photographer', 'system'],
+    cancelled: ['admin', 'client', 'system']
+  },
+  confirmed: {
+    completed: ['admin', 'photographer'],
+    cancelled: ['admin', 'client', 'photographer'],
+    no_show: ['admin', 'photographer']
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+export const BOOKING_STATUSES = Object.keys(TRANSITIONS);
+
+// Actor for changes made by the server itself: payment webhooks and jobs
+export const SYSTEM_ACTOR = { userId: null, role: 'system' };
+
+// Notifications sent when a booking reaches these statuses
+const STATUS_NOTIFICATIONS = {
+  confirmed: 'booking_confirmed',
+  cancelled: 'booking_cancelled'
+};
+
+export const canTransition = (from, to, role) => Boolean(TRANSITIONS[from]?.[to]?.includes(role));
+
+// Statuses the given role may move a booking to from its current status
+export const allowedTransitions = (from, role) => Object.entries(TRANSITIONS[from] || {})
+  .filter(([, roles]) => roles.includes(role))
+  .map(([to]) => to);
+
+// True while the booking's service takes a deposit that has not been paid.
+// Such bookings cannot be confirmed; the payment webhook confirms them.
+export const depositOutstanding = async (booking, { transaction } = {}) => {
+  if (booking.depositPaidAt) {
+    return false;
+  }
+  const service = await Service.findByPk(booking.serviceId, { transaction });
+  return Boolean(service && service.depositAmount > 0);
+};
+
+const recordHistory = (booking, fromStatus, actor, note, transaction) => BookingStatusHistory.create({
+  bookingId: booking.id,
+  fromStatus,
+  toStatus: booking.status,
+  changedBy: actor.userId || null,
+  changedByRole: actor.role,
+  note: note || null
+}, { transaction });
+
+// Records the initial status of a booking that was just created
+export const recordBookingCreated = (booking, actor, { transaction, note } = {}) =>
+  recordHistory(booking, null, actor, note, transaction);
+
+// Records something that happened to a booking without changing its status,
+// such as a reschedule, as a history entry from and to the current status
+export const recordBookingEvent = (booking, actor, { transaction, note } = {}) =>
+  recordHistory(booking, booking.status, actor, note, transaction);
+
+// Moves a booking to a new status, saving any other field changes with it and
+// recording the move. Completing a booking issues its invoice; cancelling or
+// marking a no-show applies the service's cancellation fee. Confirmations and
+// cancellations are notified once committed. actor is { userId, role }; role 'system' is used by jobs.
+// Throws BadRequestError (400) for a status that does not exist and
+// ConflictError (409) when the move is not allowed.
+export const transitionBooking = async (booking, toStatus, actor, { changes = {}, note, transaction } = {}) => {
+  const fromStatus = booking.status;
+
+  if (!BOOKING_STATUSES.includes(toStatus)) {
+    throw new BadRequestError(`status must be one of: ${BOOKING_STATUSES.join(', ')}`);
+  }
+  if (!canTransition(fromStatus, toStatus, actor.role)) {
+    throw new ConflictError(`Booking cannot go from ${fromStatus} to ${toStatus} (${actor.role})`);
+  }
+  if (toStatus === 'confirmed' && await depositOutstanding({ ...booking.get(), ...changes }, { transaction })) {
+    throw new ConflictError('Booking cannot be confirmed until its deposit is paid');
+  }
+
+  const apply = async (t) => {
+    const fee = toStatus === 'cancelled' || toStatus === 'no_show'
+      ? await cancellationFeeChanges(booking, toStatus, actor, { transaction: t })
+      : {};
+    booking.set({ ...fee, ...changes, status: toStatus });
+    await booking.save({ transaction: t });
+    await recordHistory(booking, fromStatus, actor, note, t);
+    if (toStatus === 'completed') {
+      await issueInvoice(booking, { transaction: t });
+    }
+    if (STATUS_NOTIFICATIONS[toStatus]) {
+      notifyBookingAfterCommit(t, STATUS_NOTIFICATIONS[toStatus], booking);
+    }
+    return booking;
+  };
+
+  return transaction ? apply(transaction) : sequelize.transaction(apply);
+};
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import Booking from '../models/Booking.js';
+import CalendarFeed from '../models/CalendarFeed.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import { buildCalendar } from './ical.js';
+import { clientUrl } from './mailer.js';
+import { hashToken } from './tokens.js';
+
+// Feeds cover confirmed sessions from this many days ago onwards, so calendars
+// keep recent history without growing forever
+const FEED_HISTORY_DAYS = 90;
+const FEED_MAX_EVENTS = 1000;
+
+const ICAL_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  no_show: 'CANCELLED'
+};
+
+export const calendarIncludes = [
+  { model: Service, as: 'service', attributes: ['id', 'name'] },
+  { model: User, as: 'photographer', attributes: ['id', 'username', 'email'] }
+];
+
+// Creates the user's feed token, replacing any earlier one, and returns the
+// raw value. It is only ever shown here.
+export const issueCalendarFeed = async (userId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await CalendarFeed.upsert({ userId, tokenHash: hashToken(token), lastAccessedAt: null });
+  return token;
+};
+
+export const revokeCalendarFeed = userId => CalendarFeed.destroy({ where: { userId } });
+
+// The user a feed token belongs to, or null when it is unknown or revoked
+export const findFeedUser = async (token) => {
+  if (!/^[0-9a-f]{64}$/.test(token)) {
+    return null;
+  }
+  const feed = await CalendarFeed.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [{ model: User, as: 'user', attributes: ['id', 'username', 'role'] }]
+  });
+  if (!feed?.user) {
+    return null;
+  }
+  await feed.update({ lastAccessedAt: new Date() });
+  return feed.user;
+};
+
+const bookingEvent = (booking) => {
+  const serviceName = booking.service ? booking.service.name : 'Photography session';
+  const description = [
+    `Booking #${booking.id}`,
+    `Client: ${booking.fullName}`,
+    `Email: ${booking.email}`,
+    ...(booking.phoneNumber ? [`Phone: ${booking.phoneNumber}`] : []),
+    ...(booking.photographer ? [`Photographer: ${booking.photographer.username}`] : []),
+    ...(booking.additionalDetails ? ['', booking.additionalDetails] : [])
+  ].join('\n');
+
+  return {
+    uid: `booking-${booking.id}@${new URL(clientUrl('/')).hostname}`,
+    start: booking.startAt,
+    end: booking.endAt,
+    summary: `${serviceName}: ${booking.fullName}`,
+    location: booking.location,
+    description,
+    status: ICAL_STATUS[booking.status],
+    url: clientUrl(`/bookings/${booking.id}`),
+    updatedAt: booking.updatedAt
+  };
+};
+
+// The .ics for one booking (with calendarIncludes loaded)
+export const bookingCalendar = booking => buildCalendar({
+  name: `Booking #${booking.id}`,
+  events: [bookingEvent(booking)]
+});
+
+// The user's feed: confirmed bookings assigned to a photographer, made by a
+// client, or every confirmed booking for an admin
+export const userCalendar = async (user) => {
+  const scope = {
+    photographer: { photographerId: user.id },
+    client: { clientId: user.id }
+  }[user.role] || {};
+
+  const bookings = await Booking.findAll({
+    where: {
+      ...scope,
+      status: 'confirmed',
+      startAt: { [Op.gte]: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+    },
+    include: calendarIncludes,
+    order: [['startAt', 'ASC']],
+    limit: FEED_MAX_EVENTS
+  });
+
+  return buildCalendar({
+    name: `Photography Studio: ${user.username}`,
+    events: bookings.map(bookingEvent)
+  });
+};
@@ -0,0 +1,56 @@
+import Service from '../models/Service.js';
+
+// Cancellation terms come from the booking's service:
+//   freeCancellationHours      - cancelling at least this long before the start is free
+//   lateCancellationFeePercent - share of the price charged for cancelling later than that
+//   noShowFeePercent           - share of the price charged when the client does not turn up
+// Only confirmed bookings are charged. Cancellations by the photographer are
+// always free for the client.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const percentOfPrice = (service, percent) => Math.round((Number(service.price) || 0) * percent) / 100;
+
+// What moving the booking to toStatus ('cancelled' or 'no_show') at `at`
+// costs: { fee, percent, reason, freeUntil }. reason is 'late_cancellation',
+// 'no_show', or null when there is nothing to pay.
+export const cancellationTerms = (booking, service, { toStatus = 'cancelled', actor, at = new Date() } = {}) => {
+  const freeUntil = service
+    ? new Date(booking.startAt.getTime() - service.freeCancellationHours * HOUR_MS)
+    : null;
+  const free = { fee: 0, percent: 0, reason: null, freeUntil };
+
+  if (!service || booking.status !== 'confirmed') {
+    return free;
+  }
+  if (toStatus === 'no_show') {
+    if (!service.noShowFeePercent) {
+      return free;
+    }
+    const percent = service.noShowFeePercent;
+    return { fee: percentOfPrice(service, percent), percent, reason: 'no_show', freeUntil };
+  }
+  if (actor?.role === 'photographer' || at < freeUntil || !service.lateCancellationFeePercent) {
+    return free;
+  }
+
+  const percent = service.lateCancellationFeePercent;
+  return { fee: percentOfPrice(service, percent), percent, reason: 'late_cancellation', freeUntil };
+};
+
+// Fee fields to save with a cancellation or no-show, nothing when it is free
+export const cancellationFeeChanges = async (booking, toStatus, actor, { transaction } = {}) => {
+  const service = await Service.findByPk(booking.serviceId, { transaction });
+  const terms = cancellationTerms(booking, service, { toStatus, actor });
+  if (!terms.reason) {
+    return {};
+  }
+  return { cancellationFee: terms.fee.toFixed(2), cancellationFeeReason: terms.reason };
+};
+
+// The fee part of a cancellation response
+export const cancellationFeeSummary = booking => ({
+  amount: booking.cancellationFee === null ? '0.00' : booking.cancellationFee,
+  reason: booking.cancellationFeeReason,
+  waived: Boolean(booking.cancellationFeeWaivedAt)
+});
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import { NotFoundError } from '../errors/index.js';
+import { clientUrl } from './mailer.js';
+import { hashToken } from './tokens.js';
+import logger from './logger.js';
+
+// Actor for changes a guest makes through their magic link
+export const GUEST_ACTOR = { userId: null, role: 'client' };
+
+// Magic-link tokens are 32 random bytes, hex encoded
+export const GUEST_TOKEN = /^[0-9a-f]{64}$/;
+
+export const newGuestToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+// Magic link into the client application for a guest booking
+export const guestBookingUrl = token => clientUrl('/bookings/guest', { token });
+
+// The booking a magic-link token belongs to. Unknown tokens get 404; the
+// routes check the token's format first (validateGuestToken).
+export const findGuestBooking = async (token, options = {}) => {
+  const booking = await Booking.findOne({ ...options, where: { guestAccessTokenHash: hashToken(token) } });
+  if (!booking) {
+    throw new NotFoundError('Booking link is invalid');
+  }
+  return booking;
+};
+
+// Gives a client the guest bookings made with their email address. Only for
+// verified addresses, or anyone could claim a guest's bookings by registering
+// with their email.
+export const linkGuestBookings = async (user, { transaction } = {}) => {
+  if (user.role !== 'client' || !user.emailVerified) {
+    return 0;
+  }
+
+  const [linked] = await Booking.update(
+    { clientId: user.id },
+    { where: { clientId: null, email: user.email }, transaction }
+  );
+  if (linked) {
+    logger.info('Guest bookings linked to account', { event: 'guest_bookings_linked', userId: user.id, count: linked });
+  }
+  return linked;
+};
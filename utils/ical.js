@@ -0,0 +1,69 @@
+// Minimal RFC 5545 (iCalendar) writer for booking calendars. Times are written
+// in UTC, so no VTIMEZONE is needed.
+
+const PRODUCT_ID = '-//Photography Studio//Bookings//EN';
+
+// Section 3.3.11: backslash, semicolon, comma and newlines are escaped in text
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Section 3.1: lines longer than 75 octets are folded, continuing with a space.
+// Multi-byte characters are never split.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2024-06-03T15:00:00.000Z -> 20240603T150000Z
+const formatUtc = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+// event: { uid, start, end, summary, description, location, status, url, updatedAt }
+const eventLines = (event, stamp) => [
+  'BEGIN:VEVENT',
+  property('UID', event.uid),
+  property('DTSTAMP', stamp),
+  property('DTSTART', formatUtc(event.start)),
+  property('DTEND', formatUtc(event.end)),
+  property('SUMMARY', escapeText(event.summary)),
+  ...(event.location ? [property('LOCATION', escapeText(event.location))] : []),
+  ...(event.description ? [property('DESCRIPTION', escapeText(event.description))] : []),
+  ...(event.url ? [property('URL', event.url)] : []),
+  ...(event.status ? [property('STATUS', event.status)] : []),
+  ...(event.updatedAt ? [property('LAST-MODIFIED', formatUtc(event.updatedAt))] : []),
+  'END:VEVENT'
+];
+
+// A complete VCALENDAR with the given events, CRLF line endings as required
+export const buildCalendar = ({ name, events }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODUCT_ID),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [property('X-WR-CALNAME', escapeText(name))] : []),
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
@@ -0,0 +1,27 @@
+import validator from 'validator';
+import User from '../models/User.js';
+
+// Usernames are unique regardless of case: "JohnDoe" and "johndoe" are the same user
+export const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+// Same normalisation express-validator's normalizeEmail() applies at registration
+export const normalizeEmailAddress = (email) => {
+  const trimmed = String(email || '').trim();
+  return validator.normalizeEmail(trimmed) || trimmed.toLowerCase();
+};
+
+// Anything with an @ is an email address; usernames cannot contain one
+export const isEmailIdentifier = (identifier) => String(identifier || '').includes('@');
+
+// Finds a user by username or email, ignoring case
+export const findUserByIdentifier = (identifier) => {
+  if (!identifier) {
+    return null;
+  }
+
+  return User.findOne({
+    where: isEmailIdentifier(identifier)
+      ? { email: normalizeEmailAddress(identifier) }
+      : { usernameNormalized: normalizeUsername(identifier) }
+  });
+};
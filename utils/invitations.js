@@ -0,0 +1,30 @@
+import jwt from 'jsonwebtoken';
+import Invitation from '../models/Invitation.js';
+import { BadRequestError } from '../errors/index.js';
+
+export const signInvitationToken = (invitation) => jwt.sign(
+  { inv: invitation.id, type: 'invitation' },
+  process.env.JWT_SECRET,
+  { expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)) }
+);
+
+// Returns the pending invitation behind a token, or throws if it cannot be redeemed
+export const findPendingInvitation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new BadRequestError('Invitation is invalid or has expired');
+  }
+
+  if (payload.type !== 'invitation') {
+    throw new BadRequestError('Invitation is invalid or has expired');
+  }
+
+  const invitation = await Invitation.findByPk(payload.inv);
+  if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt < new Date()) {
+    throw new BadRequestError('Invitation is invalid or has expired');
+  }
+
+  return invitation;
+};
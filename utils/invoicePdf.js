@@ -0,0 +1,66 @@
+import PDFDocument from 'pdfkit';
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: currency.toUpperCase()
+}).format(Number(amount));
+
+const formatDate = date => new Intl.DateTimeFormat('en-GB', { dateStyle: 'long' }).format(date);
+
+// Renders an invoice (with its lineItems loaded) to a PDF buffer
+export const renderInvoicePdf = invoice => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = amount => formatMoney(amount, invoice.currency);
+  const right = { width: 495, align: 'right' };
+
+  doc.fontSize(20).text(invoice.studioName);
+  if (invoice.studioAddress) {
+    doc.fontSize(10).text(invoice.studioAddress);
+  }
+
+  doc.moveDown(2).fontSize(16).text(`Invoice ${invoice.number}`);
+  doc.fontSize(10)
+    .text(`Issued ${formatDate(invoice.issuedAt)}`)
+    .text(`Booking #${invoice.bookingId}`)
+    .moveDown()
+    .text('Bill to:')
+    .text(invoice.billToName)
+    .text(invoice.billToEmail);
+
+  doc.moveDown(2).font('Helvetica-Bold');
+  const header = doc.y;
+  doc.text('Description', 50, header).text('Qty', 330, header).text('Unit price', 370, header, { width: 80, align: 'right' });
+  doc.text('Amount', 450, header, { width: 95, align: 'right' });
+  doc.font('Helvetica').moveDown(0.5);
+
+  invoice.lineItems.forEach((line) => {
+    const top = doc.y;
+    doc.text(line.description, 50, top, { width: 270 });
+    const bottom = doc.y;
+    doc.text(String(line.quantity), 330, top)
+      .text(money(line.unitPrice), 370, top, { width: 80, align: 'right' })
+      .text(money(line.amount), 450, top, { width: 95, align: 'right' });
+    doc.y = Math.max(doc.y, bottom);
+    doc.moveDown(0.5);
+  });
+
+  const taxNote = invoice.pricesIncludeTax ? ' (included)' : '';
+  doc.moveDown();
+  doc.x = 50;
+  doc.text(`Subtotal: ${money(invoice.subtotal)}`, right)
+    .text(`${invoice.taxLabel} ${Number(invoice.taxRate)}%${taxNote}: ${money(invoice.taxAmount)}`, right)
+    .font('Helvetica-Bold')
+    .text(`Total: ${money(invoice.total)}`, right)
+    .font('Helvetica');
+  if (Number(invoice.amountPaid) > 0) {
+    doc.text(`Paid: ${money(invoice.amountPaid)}`, right);
+  }
+  doc.font('Helvetica-Bold').text(`Balance due: ${money(invoice.balanceDue)}`, right);
+
+  doc.end();
+});
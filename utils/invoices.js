@@ -0,0 +1,204 @@
+import { UniqueConstraintError } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { paymentCurrency } from '../config/payments.js';
+import Invoice from '../models/Invoice.js';
+import InvoiceLineItem from '../models/InvoiceLineItem.js';
+import Payment from '../models/Payment.js';
+import Service from '../models/Service.js';
+import { BadRequestError, ConflictError } from '../errors/index.js';
+import { getSetting, setSetting } from './settings.js';
+import { toIsoDuration } from './time.js';
+import logger from './logger.js';
+
+export const INVOICE_SETTINGS = 'invoicing';
+
+const DEFAULT_SETTINGS = {
+  studioName: 'Photography Studio',
+  studioAddress: '',
+  numberPrefix: 'INV-',
+  taxLabel: 'Tax',
+  taxRate: 0,
+  pricesIncludeTax: false
+};
+
+export const getInvoiceSettings = async () => ({
+  ...DEFAULT_SETTINGS,
+  ...(await getSetting(INVOICE_SETTINGS, {}))
+});
+
+// Merges the given fields into the invoicing settings. Only affects invoices
+// issued afterwards.
+export const updateInvoiceSettings = async (changes) => {
+  const settings = { ...(await getInvoiceSettings()) };
+
+  ['studioName', 'studioAddress', 'numberPrefix', 'taxLabel'].forEach((field) => {
+    if (changes[field] !== undefined) {
+      if (typeof changes[field] !== 'string') {
+        throw new BadRequestError(`${field} must be a string`);
+      }
+      settings[field] = changes[field].trim();
+    }
+  });
+  if (changes.taxRate !== undefined) {
+    const rate = Number(changes.taxRate);
+    if (changes.taxRate === '' || !Number.isFinite(rate) || rate < 0 || rate >= 100) {
+      throw new BadRequestError('taxRate must be a percentage from 0 to under 100');
+    }
+    settings.taxRate = Math.round(rate * 100) / 100;
+  }
+  if (changes.pricesIncludeTax !== undefined) {
+    if (typeof changes.pricesIncludeTax !== 'boolean') {
+      throw new BadRequestError('pricesIncludeTax must be true or false');
+    }
+    settings.pricesIncludeTax = changes.pricesIncludeTax;
+  }
+  if (!settings.numberPrefix || !settings.taxLabel) {
+    throw new BadRequestError('numberPrefix and taxLabel cannot be empty');
+  }
+
+  return setSetting(INVOICE_SETTINGS, settings);
+};
+
+// Amounts are worked out in cents so rounding happens once per figure
+const toCents = value => Math.round(Number(value || 0) * 100);
+const fromCents = cents => (cents / 100).toFixed(2);
+
+const sessionDescription = (service, booking) => {
+  const when = new Intl.DateTimeFormat('en-GB', {
+    timeZone: booking.timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  }).format(booking.startAt);
+  const minutes = Math.round((booking.endAt - booking.startAt) / 60000);
+  const length = toIsoDuration(minutes).slice(2).toLowerCase();
+
+  return `${service ? service.name : 'Photography session'}, ${length} on ${when}`;
+};
+
+// Line items come from the booking's service: one line for the session
+const lineItemsFor = (service, booking) => [{
+  position: 1,
+  description: sessionDescription(service, booking),
+  quantity: 1,
+  unitPriceCents: toCents(service?.price)
+}];
+
+const totalsFor = (lines, { taxRate, pricesIncludeTax }) => {
+  const linesCents = lines.reduce((sum, line) => sum + line.unitPriceCents * line.quantity, 0);
+  if (pricesIncludeTax) {
+    const taxCents = Math.round(linesCents * taxRate / (100 + taxRate));
+    return { subtotalCents: linesCents - taxCents, taxCents, totalCents: linesCents };
+  }
+  const taxCents = Math.round(linesCents * taxRate / 100);
+  return { subtotalCents: linesCents, taxCents, totalCents: linesCents + taxCents };
+};
+
+// Numbers run without gaps: the latest invoice is locked while the next one is
+// created, and the unique index catches anything that slips past
+const nextSequence = async (transaction) => {
+  const latest = await Invoice.findOne({
+    attributes: ['id', 'sequence'],
+    order: [['sequence', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  return (latest?.sequence || 0) + 1;
+};
+
+// Issues the invoice for a completed booking, or returns the one it already
+// has. Runs inside the transaction that completes the booking.
+export const issueInvoice = async (booking, { transaction }) => {
+  if (booking.status !== 'completed') {
+    throw new ConflictError('Invoices are only issued for completed bookings');
+  }
+
+  const existing = await Invoice.findOne({ where: { bookingId: booking.id }, transaction });
+  if (existing) {
+    return existing;
+  }
+
+  const [settings, service, payments] = await Promise.all([
+    getInvoiceSettings(),
+    Service.findByPk(booking.serviceId, { transaction }),
+    Payment.findAll({ where: { bookingId: booking.id, status: 'succeeded' }, transaction })
+  ]);
+  if (!service) {
+    logger.warn('Invoicing a booking whose service no longer exists', {
+      event: 'invoice_missing_service',
+      bookingId: booking.id
+    });
+  }
+
+  const lines = lineItemsFor(service, booking);
+  const taxRate = Number(settings.taxRate) || 0;
+  const { subtotalCents, taxCents, totalCents } = totalsFor(lines, { ...settings, taxRate });
+  const paidCents = payments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const sequence = await nextSequence(transaction);
+
+  const invoice = await Invoice.create({
+    number: `${settings.numberPrefix}${String(sequence).padStart(6, '0')}`,
+    sequence,
+    bookingId: booking.id,
+    clientId: booking.clientId,
+    studioName: settings.studioName,
+    studioAddress: settings.studioAddress || null,
+    billToName: booking.fullName,
+    billToEmail: booking.email,
+    issuedAt: new Date(),
+    currency: paymentCurrency(),
+    taxLabel: settings.taxLabel,
+    taxRate,
+    pricesIncludeTax: settings.pricesIncludeTax,
+    subtotal: fromCents(subtotalCents),
+    taxAmount: fromCents(taxCents),
+    total: fromCents(totalCents),
+    amountPaid: fromCents(paidCents),
+    balanceDue: fromCents(Math.max(totalCents - paidCents, 0))
+  }, { transaction });
+
+  await InvoiceLineItem.bulkCreate(lines.map(line => ({
+    invoiceId: invoice.id,
+    position: line.position,
+    description: line.description,
+    quantity: line.quantity,
+    unitPrice: fromCents(line.unitPriceCents),
+    amount: fromCents(line.unitPriceCents * line.quantity)
+  })), { transaction });
+
+  logger.info('Invoice issued', {
+    event: 'invoice_issued',
+    invoiceId: invoice.id,
+    number: invoice.number,
+    bookingId: booking.id
+  });
+
+  return invoice;
+};
+
+// Two first requests can both find no invoice. The unique bookingId index
+// stops the second one issuing another, and it returns the first one's.
+const issueOnRequest = async (booking) => {
+  try {
+    return await sequelize.transaction(transaction => issueInvoice(booking, { transaction }));
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      const invoice = await Invoice.findOne({ where: { bookingId: booking.id } });
+      if (invoice) {
+        return invoice;
+      }
+    }
+    throw error;
+  }
+};
+
+// The booking's invoice with its line items. Bookings completed before
+// invoicing existed get theirs issued on first request.
+export const findOrIssueInvoice = async (booking) => {
+  const invoice = await Invoice.findOne({ where: { bookingId: booking.id } })
+    || await issueOnRequest(booking);
+
+  return invoice.reload({
+    include: [{ model: InvoiceLineItem, as: 'lineItems', attributes: { exclude: ['invoiceId'] } }],
+    order: [[{ model: InvoiceLineItem, as: 'lineItems' }, 'position', 'ASC']]
+  });
+};
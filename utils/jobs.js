@@ -0,0 +1,176 @@
+import { Op } from 'sequelize';
+import { sequelize } from '../config/db.js';
+import { getJobConfig } from '../config/jobs.js';
+import Booking from '../models/Booking.js';
+import { BadRequestError } from '../errors/index.js';
+import { SYSTEM_ACTOR, transitionBooking } from './bookingStateMachine.js';
+import { notifyBooking } from './notifications.js';
+import logger from './logger.js';
+
+// Each job handles at most this many bookings per run; the next run picks up
+// the rest
+const BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reminds the client and photographer of confirmed sessions starting within
+// REMINDER_HOURS_BEFORE. A booking is claimed by setting reminderSentAt before
+// sending, so overlapping runs do not remind twice. When no message at all
+// went out the claim is released and the next run tries again; when only some
+// did, it is kept so nobody gets the reminder twice. Either way the booking
+// counts as failed, not sent.
+const sendSessionReminders = async (now, config) => {
+  const bookings = await Booking.findAll({
+    where: {
+      status: 'confirmed',
+      reminderSentAt: null,
+      startAt: { [Op.gt]: now, [Op.lte]: new Date(now.getTime() + config.reminderHoursBefore * HOUR_MS) }
+    },
+    order: [['startAt', 'ASC']],
+    limit: BATCH_SIZE
+  });
+
+  let sent = 0;
+  let failed = 0;
+  for (const booking of bookings) {
+    const [claimed] = await Booking.update(
+      { reminderSentAt: now },
+      { where: { id: booking.id, reminderSentAt: null } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const result = await notifyBooking('booking_reminder', booking);
+    if (result.failed === 0) {
+      sent += 1;
+      continue;
+    }
+    failed += 1;
+    if (result.sent === 0) {
+      await Booking.update(
+        { reminderSentAt: null },
+        { where: { id: booking.id, reminderSentAt: now } }
+      );
+    }
+  }
+  return { sent, failed };
+};
+
+// Marks confirmed bookings whose session has ended so the photographer or an
+// admin completes them (or records a no-show). They are listed with
+// awaitingCompletion=true.
+const flagPastBookings = async (now) => {
+  const [flagged] = await Booking.update(
+    { completionFlaggedAt: now },
+    {
+      where: {
+        status: 'confirmed',
+        completionFlaggedAt: null,
+        endAt: { [Op.lte]: now }
+      }
+    }
+  );
+  return { flagged };
+};
+
+// Cancels pending bookings that nobody accepted within PENDING_EXPIRY_HOURS of
+// being made, or whose session time has already passed. Bookings with a paid
+// deposit are left for an admin to sort out.
+const expirePendingBookings = async (now, config) => {
+  if (!config.pendingExpiryHours) {
+    return { expired: 0 };
+  }
+
+  const where = {
+    status: 'pending',
+    depositPaidAt: null,
+    [Op.or]: [
+      { createdAt: { [Op.lte]: new Date(now.getTime() - config.pendingExpiryHours * HOUR_MS) } },
+      { startAt: { [Op.lte]: now } }
+    ]
+  };
+  const candidates = await Booking.findAll({ attributes: ['id'], where, limit: BATCH_SIZE });
+
+  let expired = 0;
+  for (const { id } of candidates) {
+    // Checked again under a lock: it may have been accepted in the meantime
+    const done = await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { ...where, id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!booking) {
+        return false;
+      }
+      await transitionBooking(booking, 'cancelled', SYSTEM_ACTOR, {
+        note: booking.startAt <= now
+          ? 'Expired: the session time passed before it was accepted'
+          : `Expired: not accepted within ${config.pendingExpiryHours} hours`,
+        transaction
+      });
+      return true;
+    });
+    expired += done ? 1 : 0;
+  }
+  return { expired };
+};
+
+const JOBS = {
+  'session-reminders': sendSessionReminders,
+  'flag-past-bookings': flagPastBookings,
+  'expire-pending-bookings': expirePendingBookings
+};
+
+export const JOB_NAMES = Object.keys(JOBS);
+
+// Runs the named jobs (all of them by default) one after another and returns
+// each one's result. A failing job is logged and reported; the others still run.
+export const runJobs = async (names = JOB_NAMES) => {
+  const unknown = names.filter(name => !JOBS[name]);
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown job: ${unknown.join(', ')}. Jobs are: ${JOB_NAMES.join(', ')}`);
+  }
+
+  const config = getJobConfig();
+  const results = {};
+  for (const name of names) {
+    const now = new Date();
+    try {
+      results[name] = await JOBS[name](now, config);
+      logger.info('Job finished', { event: 'job_finished', job: name, ...results[name] });
+    } catch (error) {
+      results[name] = { error: error.message };
+      logger.error('Job failed', { event: 'job_failed', job: name, error: error.message, stack: error.stack });
+    }
+  }
+  return results;
+};
+
+let timer = null;
+let running = false;
+
+// Runs every job every JOBS_INTERVAL_MINUTES in this process. A run still in
+// progress when the next one is due is not overlapped.
+export const startScheduler = () => {
+  const { intervalMinutes } = getJobConfig();
+  if (!intervalMinutes || timer) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await runJobs();
+    } finally {
+      running = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  logger.info('Job scheduler started', { event: 'scheduler_started', intervalMinutes });
+};
@@ -0,0 +1,107 @@
+import { Op } from 'sequelize';
+import LoginThrottle from '../models/LoginThrottle.js';
+import ActivityLog from '../models/ActivityLog.js';
+import { hashToken } from './tokens.js';
+import logger from './logger.js';
+
+// Failed logins are tracked per account and per IP. Past a few free attempts
+// each further try has to wait exponentially longer, and at the limit the
+// account (or IP) is locked out for a while.
+const LIMITS = {
+  account: {
+    freeAttempts: 3,
+    maxFailures: () => parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 10
+  },
+  ip: {
+    freeAttempts: 10,
+    maxFailures: () => parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50
+  }
+};
+
+const MAX_DELAY_SECONDS = 5 * 60;
+
+const lockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Unknown identifiers are hashed so that any length fits the key column
+export const accountKey = (user, identifier) =>
+  user ? `user:${user.id}` : `name:${hashToken(String(identifier || '').toLowerCase())}`;
+
+const backoffSeconds = (failures, freeAttempts) => failures < freeAttempts
+  ? 0
+  : Math.min(2 ** (failures - freeAttempts), MAX_DELAY_SECONDS);
+
+// Seconds the caller must wait before this throttle allows another attempt
+const waitSeconds = (throttle) => {
+  if (!throttle) {
+    return 0;
+  }
+
+  const now = Date.now();
+  if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+    return Math.ceil((throttle.lockedUntil.getTime() - now) / 1000);
+  }
+
+  const delay = backoffSeconds(throttle.failures, LIMITS[throttle.scope].freeAttempts);
+  const readyAt = throttle.lastFailureAt ? throttle.lastFailureAt.getTime() + delay * 1000 : 0;
+  return readyAt > now ? Math.ceil((readyAt - now) / 1000) : 0;
+};
+
+// Returns how many seconds the client has to wait, or 0 if it may try now
+export const checkLoginThrottle = async ({ account, ip }) => {
+  const throttles = await LoginThrottle.findAll({
+    where: {
+      [Op.or]: [
+        { scope: 'account', key: account },
+        { scope: 'ip', key: ip || '' }
+      ]
+    }
+  });
+
+  return Math.max(0, ...throttles.map(waitSeconds));
+};
+
+const recordFailure = async (scope, key, userId) => {
+  const [throttle] = await LoginThrottle.findOrCreate({ where: { scope, key } });
+  const now = new Date();
+
+  // Failures age out once a full lockout period has passed without another one
+  const stale = throttle.lastFailureAt && now - throttle.lastFailureAt > lockoutMs();
+  throttle.failures = stale ? 1 : throttle.failures + 1;
+  throttle.lastFailureAt = now;
+
+  const locked = throttle.failures >= LIMITS[scope].maxFailures();
+  if (locked) {
+    throttle.lockedUntil = new Date(now.getTime() + lockoutMs());
+    throttle.failures = 0;
+  }
+  await throttle.save();
+
+  if (locked) {
+    logger.error('Login locked out', {
+      scope,
+      key,
+      userId,
+      lockedUntil: throttle.lockedUntil.toISOString(),
+      event: 'login_lockout'
+    });
+    await ActivityLog.create({
+      adminId: null,
+      action: scope === 'account' ? 'account_locked' : 'ip_locked',
+      details: JSON.stringify({ key, userId, lockedUntil: throttle.lockedUntil })
+    });
+  }
+};
+
+export const recordLoginFailure = async ({ account, ip, userId = null }) => {
+  if (account) {
+    await recordFailure('account', account, userId);
+  }
+  if (ip) {
+    await recordFailure('ip', ip, userId);
+  }
+};
+
+// A successful login clears the account's counter (not the IP's, which may be shared)
+export const clearLoginFailures = async (account) => {
+  await LoginThrottle.destroy({ where: { scope: 'account', key: account } });
+};
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+
+// Transports take a message ({ to, subject, text, html }) and deliver it.
+// MAIL_TRANSPORT picks one: console (default), file or smtp.
+const transports = {
+  // Logs the message instead of sending it
+  console: async (message) => {
+    logger.info('Email (console transport)', { event: 'email_sent', ...message });
+  },
+
+  // Writes each message to MAIL_DIR as JSON so local tests can read it back
+  file: async (message) => {
+    const dir = path.resolve(process.env.MAIL_DIR || 'logs/mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filename = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+    await fs.promises.writeFile(filename, JSON.stringify(message, null, 2));
+  },
+
+  smtp: async (message) => {
+    await smtpTransport().sendMail(message);
+  }
+};
+
+let smtp;
+const smtpTransport = () => {
+  if (!smtp) {
+    smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return smtp;
+};
+
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Photography Studio <no-reply@photostudio.com>',
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  };
+
+  try {
+    await transport(message);
+  } catch (error) {
+    logger.error('Failed to send email', {
+      to,
+      subject,
+      transport: transportName,
+      error: error.message,
+      event: 'email_failed'
+    });
+    throw error;
+  }
+};
+
+// Link into the client application, e.g. clientUrl('/reset-password', { token })
+export const clientUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || process.env.BASE || 'http://localhost:3000');
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
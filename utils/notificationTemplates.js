@@ -0,0 +1,91 @@
+// Messages sent about bookings, one template per event. Each template names
+// who receives it and renders { subject, text, sms } from:
+//
+//   recipient   { name, role } of the person being told
+//   booking     the booking
+//   serviceName name of the booked service
+//   when        the session start, formatted in the booking's timezone
+//   link        the booking in the client application (for guests, their
+//               magic link)
+//
+// Templates are plain functions so a new event only needs an entry here.
+
+const signOff = '\n\nPhotography Studio';
+
+const TEMPLATES = {
+  booking_created: {
+    audience: ['client'],
+    render: ({ recipient, booking, serviceName, when, link }) => ({
+      subject: `We received your booking #${booking.id}`,
+      text: `Hi ${recipient.name},\n\n`
+        + `Thanks for booking ${serviceName} on ${when}. We will let you know as soon as a photographer confirms it.\n\n`
+        + `${booking.clientId ? '' : 'You can view or cancel your booking with this link:\n'}`
+        + `${link}${signOff}`,
+      sms: `Booking #${booking.id} received: ${serviceName}, ${when}. We will confirm it soon.`
+    })
+  },
+
+  booking_confirmed: {
+    audience: ['client'],
+    render: ({ recipient, booking, serviceName, when, link }) => ({
+      subject: `Your booking #${booking.id} is confirmed`,
+      text: `Hi ${recipient.name},\n\n`
+        + `Your ${serviceName} session on ${when} is confirmed.`
+        + `${booking.location ? ` Location: ${booking.location}.` : ''}\n\n`
+        + `${link}${signOff}`,
+      sms: `Booking #${booking.id} confirmed: ${serviceName}, ${when}.`
+    })
+  },
+
+  photographer_assigned: {
+    audience: ['photographer'],
+    render: ({ recipient, booking, serviceName, when, link }) => ({
+      subject: `New assignment: booking #${booking.id}`,
+      text: `Hi ${recipient.name},\n\n`
+        + `You have been assigned to ${serviceName} for ${booking.fullName} on ${when}.`
+        + `${booking.location ? ` Location: ${booking.location}.` : ''}\n\n`
+        + `${link}${signOff}`,
+      sms: `You have been assigned booking #${booking.id}: ${serviceName}, ${when}.`
+    })
+  },
+
+  booking_cancelled: {
+    audience: ['client', 'photographer'],
+    render: ({ recipient, booking, serviceName, when, link }) => {
+      const fee = recipient.role === 'client' && Number(booking.cancellationFee) > 0
+        ? ` A cancellation fee of ${booking.cancellationFee} applies.`
+        : '';
+      return {
+        subject: `Booking #${booking.id} has been cancelled`,
+        text: `Hi ${recipient.name},\n\n`
+          + `The ${serviceName} session on ${when} has been cancelled.${fee}\n\n`
+          + `${link}${signOff}`,
+        sms: `Booking #${booking.id} (${serviceName}, ${when}) has been cancelled.${fee}`
+      };
+    }
+  },
+
+  booking_reminder: {
+    audience: ['client', 'photographer'],
+    render: ({ recipient, booking, serviceName, when, link }) => ({
+      subject: `Reminder: booking #${booking.id} on ${when}`,
+      text: `Hi ${recipient.name},\n\n`
+        + `This is a reminder of the ${serviceName} session on ${when}.`
+        + `${booking.location ? ` Location: ${booking.location}.` : ''}\n\n`
+        + `${link}${signOff}`,
+      sms: `Reminder: ${serviceName} on ${when} (booking #${booking.id}).`
+    })
+  }
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(TEMPLATES);
+
+export const notificationAudience = event => TEMPLATES[event]?.audience || [];
+
+export const renderNotification = (event, context) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+  return template.render(context);
+};
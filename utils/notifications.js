@@ -0,0 +1,186 @@
+import NotificationPreference from '../models/NotificationPreference.js';
+import Service from '../models/Service.js';
+import User from '../models/User.js';
+import { BadRequestError } from '../errors/index.js';
+import { clientUrl, sendMail } from './mailer.js';
+import { sendSms } from './sms.js';
+import { NOTIFICATION_EVENTS, notificationAudience, renderNotification } from './notificationTemplates.js';
+import logger from './logger.js';
+
+// Channels take a recipient and a rendered message. address() says where the
+// recipient is reached on the channel, or null when they cannot be; send()
+// delivers. Email goes through the mail transports (MAIL_TRANSPORT), SMS
+// through the SMS ones (SMS_TRANSPORT), so both can log or write files locally.
+const channels = {
+  email: {
+    address: recipient => recipient.email,
+    send: (to, message) => sendMail({ to, subject: message.subject, text: message.text })
+  },
+  sms: {
+    address: recipient => recipient.phoneNumber,
+    send: (to, message) => sendSms({ to, body: message.sms })
+  }
+};
+
+export const registerChannel = (name, channel) => {
+  channels[name] = channel;
+};
+
+const DEFAULT_PREFERENCES = { channels: ['email'], disabledEvents: [], phoneNumber: null };
+
+export const getNotificationPreferences = async (userId) => {
+  const preference = await NotificationPreference.findOne({ where: { userId } });
+  return preference
+    ? { channels: preference.channels, disabledEvents: preference.disabledEvents, phoneNumber: preference.phoneNumber }
+    : { ...DEFAULT_PREFERENCES };
+};
+
+const PHONE_NUMBER = /^\+?[0-9 ()-]{7,20}$/;
+
+const checkList = (value, field, known) => {
+  if (!Array.isArray(value) || value.some(item => !known.includes(item))) {
+    throw new BadRequestError(`${field} must be a list of: ${known.join(', ')}`);
+  }
+  return [...new Set(value)];
+};
+
+// Replaces the given fields of the user's preferences and returns them all
+export const updateNotificationPreferences = async (userId, changes) => {
+  const preferences = await getNotificationPreferences(userId);
+
+  if (changes.channels !== undefined) {
+    preferences.channels = checkList(changes.channels, 'channels', Object.keys(channels));
+  }
+  if (changes.disabledEvents !== undefined) {
+    preferences.disabledEvents = checkList(changes.disabledEvents, 'disabledEvents', NOTIFICATION_EVENTS);
+  }
+  if (changes.phoneNumber !== undefined) {
+    if (changes.phoneNumber !== null && !PHONE_NUMBER.test(String(changes.phoneNumber))) {
+      throw new BadRequestError('phoneNumber must be a phone number, e.g. +44 20 7946 0000');
+    }
+    preferences.phoneNumber = changes.phoneNumber;
+  }
+
+  await NotificationPreference.upsert({ userId, ...preferences });
+  return preferences;
+};
+
+const formatWhen = booking => new Intl.DateTimeFormat('en-GB', {
+  timeZone: booking.timezone,
+  dateStyle: 'full',
+  timeStyle: 'short'
+}).format(booking.startAt);
+
+// The people an event goes to, with their preferences. The client is reached
+// at the contact details on the booking.
+const recipientsFor = async (event, booking) => {
+  const recipients = [];
+
+  for (const role of notificationAudience(event)) {
+    const userId = role === 'client' ? booking.clientId : booking.photographerId;
+    const user = userId ? await User.findByPk(userId, { attributes: ['id', 'username', 'email'] }) : null;
+    if (role === 'photographer' && !user) {
+      continue;
+    }
+
+    const preferences = user ? await getNotificationPreferences(user.id) : DEFAULT_PREFERENCES;
+    recipients.push(role === 'client'
+      ? {
+        role,
+        userId: user?.id || null,
+        name: booking.fullName,
+        email: booking.email,
+        phoneNumber: preferences.phoneNumber || booking.phoneNumber,
+        preferences
+      }
+      : {
+        role,
+        userId: user.id,
+        name: user.username,
+        email: user.email,
+        phoneNumber: preferences.phoneNumber,
+        preferences
+      });
+  }
+
+  return recipients;
+};
+
+// Returns whether the message went out, or null when the recipient cannot be
+// reached on the channel
+const deliver = async (event, recipient, channelName, message) => {
+  const channel = channels[channelName];
+  const to = channel?.address(recipient);
+  if (!to) {
+    return null;
+  }
+
+  try {
+    await channel.send(to, message);
+    logger.info('Notification sent', { event: 'notification_sent', notification: event, channel: channelName, userId: recipient.userId });
+    return true;
+  } catch (error) {
+    logger.error('Notification failed', {
+      event: 'notification_failed',
+      notification: event,
+      channel: channelName,
+      userId: recipient.userId,
+      error: error.message
+    });
+    return false;
+  }
+};
+
+// Tells everyone the event concerns about it, on the channels they chose.
+// extra overrides template context, e.g. the magic link for a guest.
+// Never throws: a failed notification is logged and the booking carries on.
+// Returns how many messages went out and how many failed, counting a failure
+// before anything was sent as one.
+export const notifyBooking = async (event, booking, extra = {}) => {
+  const result = { sent: 0, failed: 0 };
+  try {
+    const service = await Service.findByPk(booking.serviceId, { attributes: ['name'] });
+    const context = {
+      booking,
+      serviceName: service ? service.name : 'your photography session',
+      when: formatWhen(booking),
+      link: clientUrl(`/bookings/${booking.id}`),
+      ...extra
+    };
+
+    for (const recipient of await recipientsFor(event, booking)) {
+      if (recipient.preferences.disabledEvents.includes(event)) {
+        continue;
+      }
+      const message = renderNotification(event, { ...context, recipient });
+      for (const channelName of recipient.preferences.channels) {
+        const delivered = await deliver(event, recipient, channelName, message);
+        if (delivered !== null) {
+          result[delivered ? 'sent' : 'failed'] += 1;
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Could not send booking notifications', {
+      event: 'notification_failed',
+      notification: event,
+      bookingId: booking.id,
+      error: error.message
+    });
+    result.failed += 1;
+  }
+  return result;
+};
+
+// Sends the notification once the transaction has committed, so nobody hears
+// about a change that was rolled back. Does not hold up the caller.
+export const notifyBookingAfterCommit = (transaction, event, booking, extra) => {
+  const send = () => {
+    notifyBooking(event, booking, extra);
+  };
+  if (transaction) {
+    transaction.afterCommit(send);
+  } else {
+    send();
+  }
+};
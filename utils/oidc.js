@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { Op } from 'sequelize';
+import { Issuer, generators } from 'openid-client';
+import User from '../models/User.js';
+import OAuthState from '../models/OAuthState.js';
+import ProviderIdentity from '../models/ProviderIdentity.js';
+import { getProviderConfig, allowedRedirectUris } from '../config/oidc.js';
+import { BadRequestError, ConflictError, NotFoundError, UnauthenticatedError } from '../errors/index.js';
+import { normalizeEmailAddress, normalizeUsername } from './identity.js';
+import { linkGuestBookings } from './guestBookings.js';
+import logger from './logger.js';
+
+const STATE_LIFETIME_MS = 10 * 60 * 1000;
+
+// Discovery documents are fetched once per provider per process
+const clients = new Map();
+
+const getClient = async (config) => {
+  if (!clients.has(config.name)) {
+    const issuer = await Issuer.discover(config.issuer);
+    clients.set(config.name, new issuer.Client({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      token_endpoint_auth_method: config.clientSecret ? 'client_secret_post' : 'none'
+    }));
+  }
+  return clients.get(config.name);
+};
+
+const requireProvider = (name) => {
+  const config = getProviderConfig(name);
+  if (!config) {
+    throw new NotFoundError(`Login with ${name} is not available`);
+  }
+  return config;
+};
+
+// Step one: returns the provider URL to send the user to (authorization code
+// flow with PKCE). The provider redirects back to redirectUri with code and state.
+export const startAuthorization = async (providerName, redirectUri) => {
+  const config = requireProvider(providerName);
+  const allowed = allowedRedirectUris();
+  const target = redirectUri || allowed[0];
+  if (!target || !allowed.includes(target)) {
+    throw new BadRequestError('redirectUri is not allowed');
+  }
+
+  const client = await getClient(config);
+  const codeVerifier = generators.codeVerifier();
+  const state = generators.state();
+  const nonce = generators.nonce();
+
+  await OAuthState.create({
+    state,
+    provider: config.name,
+    codeVerifier,
+    nonce,
+    redirectUri: target,
+    expiresAt: new Date(Date.now() + STATE_LIFETIME_MS)
+  });
+
+  // Opportunistic cleanup of flows nobody finished
+  await OAuthState.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+  return client.authorizationUrl({
+    scope: config.scope,
+    redirect_uri: target,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+};
+
+// Query parameters the provider may send back to redirectUri. iss lets the
+// client check the response came from the provider it started with (RFC 9207);
+// error and error_description report a refused or failed login.
+const CALLBACK_PARAMS = ['code', 'state', 'iss', 'error', 'error_description'];
+
+// Step two: exchanges the code and returns the verified id_token claims
+export const finishAuthorization = async (providerName, params) => {
+  const config = requireProvider(providerName);
+  const { code, state, error } = params;
+  if ((!code && !error) || !state) {
+    throw new BadRequestError('Please provide code and state');
+  }
+
+  const pending = await OAuthState.findOne({
+    where: { state, provider: config.name, expiresAt: { [Op.gt]: new Date() } }
+  });
+  // States are single use; destroying first means a replay finds nothing
+  const claimed = pending && await OAuthState.destroy({ where: { state: pending.state } });
+  if (!claimed) {
+    throw new UnauthenticatedError('Login attempt expired, please start again');
+  }
+
+  const client = await getClient(config);
+  try {
+    const tokenSet = await client.callback(
+      pending.redirectUri,
+      Object.fromEntries(CALLBACK_PARAMS
+        .filter(name => params[name] !== undefined)
+        .map(name => [name, String(params[name])])),
+      { code_verifier: pending.codeVerifier, state: pending.state, nonce: pending.nonce }
+    );
+    return tokenSet.claims();
+  } catch (error) {
+    logger.error('OIDC code exchange failed', {
+      provider: config.name,
+      error: error.message,
+      event: 'oidc_exchange_failed'
+    });
+    throw new UnauthenticatedError(`Login with ${config.name} failed`);
+  }
+};
+
+const emailIsVerified = (config, claims) => Boolean(claims.email)
+  && (claims.email_verified === true || claims.email_verified === 'true' || config.trustEmail);
+
+const uniqueUsername = async (claims) => {
+  const base = (claims.preferred_username || claims.email?.split('@')[0] || claims.name || 'user')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]/g, '')
+    .slice(0, 30)
+    .padEnd(3, '0');
+
+  let candidate = base;
+  while (await User.findOne({ where: { usernameNormalized: normalizeUsername(candidate) } })) {
+    candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return candidate;
+};
+
+// Finds the user for a provider login: an existing link first, then an
+// account with the same verified email (which gets linked), else a new client
+export const resolveProviderUser = async (providerName, claims) => {
+  const config = requireProvider(providerName);
+
+  const identity = await ProviderIdentity.findOne({
+    where: { provider: config.name, subject: claims.sub },
+    include: [{ model: User, as: 'user' }]
+  });
+  if (identity?.user) {
+    await identity.update({ lastLoginAt: new Date() });
+    return identity.user;
+  }
+
+  if (!emailIsVerified(config, claims)) {
+    throw new BadRequestError(`Your ${config.name} account has no verified email address`);
+  }
+
+  const email = normalizeEmailAddress(claims.email);
+  let user = await User.findOne({ where: { email } });
+
+  if (user && !user.emailVerified) {
+    // Linking would hand the account to whoever registered it without proving the address
+    throw new ConflictError('An account with this email exists but is not verified. Log in with your password and verify your email first');
+  }
+
+  if (!user) {
+    user = await User.create({
+      username: await uniqueUsername(claims),
+      email,
+      // Never used to log in; the account can set a real one via forgot-password
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+      role: 'client',
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    logger.info('User registered via provider', { userId: user.id, provider: config.name, event: 'oidc_registration' });
+    await linkGuestBookings(user);
+  }
+
+  await ProviderIdentity.create({
+    provider: config.name,
+    subject: claims.sub,
+    userId: user.id,
+    email,
+    lastLoginAt: new Date()
+  });
+  logger.info('Provider identity linked', { userId: user.id, provider: config.name, event: 'oidc_identity_linked' });
+
+  return user;
+};
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import OneTimeToken from '../models/OneTimeToken.js';
+import { hashToken } from './tokens.js';
+
+// Creates a token for the user and returns the raw value to send them.
+// Any earlier unused token for the same purpose stops working.
+export const issueOneTimeToken = async (userId, purpose, lifetimeMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await OneTimeToken.destroy({ where: { userId, purpose, usedAt: null } });
+  await OneTimeToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + lifetimeMs)
+  });
+
+  return token;
+};
+
+// Marks the token used and returns its record, or null if it is unknown,
+// expired or already used
+export const consumeOneTimeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const record = await OneTimeToken.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  // Conditional so the same token cannot be redeemed twice concurrently
+  const [used] = await OneTimeToken.update(
+    { usedAt: new Date() },
+    { where: { id: record.id, usedAt: null } }
+  );
+
+  return used ? record : null;
+};
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { getPaymentConfig } from '../config/payments.js';
+import { BadRequestError, UnauthenticatedError } from '../errors/index.js';
+
+// Every provider has a name and implements:
+//
+//   createPaymentIntent({ amount, currency, metadata, idempotencyKey })
+//     amount is in the currency's minor unit (cents). Resolves to
+//     { id, clientSecret, status }.
+//
+//   parseWebhook(rawBody, headers)
+//     Throws UnauthenticatedError unless the signature matches, then returns
+//     { type, paymentId, amount } with type 'payment.succeeded',
+//     'payment.failed', or null for events nothing acts on.
+//
+// Both providers speak Stripe's webhook format, so the fake one can be driven
+// with the same events a real integration receives.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+const hmac = (secret, timestamp, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// Value for the Stripe-Signature header: t=<unix time>,v1=<HMAC-SHA256 of "<t>.<body>">
+export const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, payload)}`;
+
+const verifySignature = (rawBody, header, secret) => {
+  const pairs = String(header || '').split(',').map(pair => pair.trim().split('='));
+  const timestamp = Number(pairs.find(([key]) => key === 't')?.[1]);
+  const signatures = pairs.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) {
+    throw new UnauthenticatedError('Missing webhook signature');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new UnauthenticatedError('Webhook signature has expired');
+  }
+
+  const expected = Buffer.from(hmac(secret, timestamp, rawBody));
+  const matches = signatures.some((signature) => {
+    const given = Buffer.from(signature);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  if (!matches) {
+    throw new UnauthenticatedError('Invalid webhook signature');
+  }
+};
+
+const parseStripeEvent = (rawBody) => {
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (error) {
+    throw new BadRequestError('Webhook body is not valid JSON');
+  }
+
+  const intent = event.data?.object || {};
+  return {
+    type: EVENT_TYPES[event.type] || null,
+    paymentId: intent.id,
+    amount: intent.amount_received ?? intent.amount
+  };
+};
+
+const parseWebhook = (webhookSecret) => (rawBody, headers) => {
+  verifySignature(rawBody, headers['stripe-signature'], webhookSecret);
+  return parseStripeEvent(rawBody);
+};
+
+const createStripeProvider = ({ secretKey, apiUrl, webhookSecret }) => ({
+  name: 'stripe',
+
+  createPaymentIntent: async ({ amount, currency, metadata = {}, idempotencyKey }) => {
+    if (!secretKey) {
+      throw new Error('STRIPE_SECRET_KEY is not set');
+    }
+
+    const form = new URLSearchParams({
+      amount: String(amount),
+      currency,
+      'automatic_payment_methods[enabled]': 'true'
+    });
+    Object.entries(metadata).forEach(([key, value]) => form.append(`metadata[${key}]`, String(value)));
+
+    const response = await fetch(`${apiUrl}/v1/payment_intents`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+      },
+      body: form
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`Payment provider refused the payment intent: ${body.error?.message || response.status}`);
+    }
+
+    return { id: body.id, clientSecret: body.client_secret, status: body.status };
+  },
+
+  parseWebhook: parseWebhook(webhookSecret)
+});
+
+// Intents live in memory; the same idempotency key returns the same intent,
+// as it does with Stripe
+const createFakeProvider = ({ webhookSecret }) => {
+  const intents = new Map();
+
+  return {
+    name: 'fake',
+
+    createPaymentIntent: async ({ idempotencyKey }) => {
+      if (idempotencyKey && intents.has(idempotencyKey)) {
+        return intents.get(idempotencyKey);
+      }
+
+      const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+      const intent = {
+        id,
+        clientSecret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+        status: 'requires_payment_method'
+      };
+      if (idempotencyKey) {
+        intents.set(idempotencyKey, intent);
+      }
+      return intent;
+    },
+
+    parseWebhook: parseWebhook(webhookSecret)
+  };
+};
+
+const FACTORIES = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+// One instance per provider per process, so the fake keeps its intents
+const providers = new Map();
+
+// The configured provider, or null when payments are not set up
+export const getPaymentProvider = () => {
+  const config = getPaymentConfig();
+  const create = config && FACTORIES[config.provider];
+  if (!create) {
+    return null;
+  }
+
+  if (!providers.has(config.provider)) {
+    providers.set(config.provider, create(config));
+  }
+  return providers.get(config.provider);
+};
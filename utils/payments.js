@@ -0,0 +1,166 @@
+import { sequelize } from '../config/db.js';
+import { getPaymentConfig } from '../config/payments.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import Service from '../models/Service.js';
+import { ConflictError, NotFoundError } from '../errors/index.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { SYSTEM_ACTOR, transitionBooking } from './bookingStateMachine.js';
+import logger from './logger.js';
+
+// Providers count money in the currency's minor unit (cents)
+const minorUnits = amount => Math.round(Number(amount) * 100);
+
+const requireProvider = () => {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    throw new NotFoundError('Online payments are not available');
+  }
+  return provider;
+};
+
+// Starts paying the deposit for a booking, or returns the payment already
+// waiting to be completed. The client app finishes it with clientSecret.
+export const createDepositPayment = async (booking) => {
+  if (booking.status !== 'pending' && booking.status !== 'confirmed') {
+    throw new ConflictError(`A ${booking.status} booking cannot be paid for`);
+  }
+  if (booking.depositPaidAt) {
+    throw new ConflictError('The deposit for this booking has already been paid');
+  }
+
+  const service = await Service.findByPk(booking.serviceId);
+  if (!service || service.depositAmount <= 0) {
+    throw new ConflictError('This booking does not need a deposit');
+  }
+
+  const provider = requireProvider();
+  const { currency } = getPaymentConfig();
+  const amount = service.depositAmount.toFixed(2);
+
+  const open = await Payment.findOne({
+    where: { bookingId: booking.id, purpose: 'deposit', status: 'pending', provider: provider.name, amount, currency },
+    order: [['createdAt', 'DESC']]
+  });
+  if (open) {
+    return open;
+  }
+
+  const cents = minorUnits(service.depositAmount);
+  const intent = await provider.createPaymentIntent({
+    amount: cents,
+    currency,
+    metadata: { bookingId: booking.id, purpose: 'deposit' },
+    idempotencyKey: `booking-${booking.id}-deposit-${cents}-${currency}`
+  });
+
+  // A retried intent comes back with the same id after a failed attempt
+  const [payment] = await Payment.findOrCreate({
+    where: { providerPaymentId: intent.id },
+    defaults: {
+      bookingId: booking.id,
+      purpose: 'deposit',
+      provider: provider.name,
+      clientSecret: intent.clientSecret,
+      amount,
+      currency
+    }
+  });
+  if (payment.status === 'failed') {
+    await payment.update({ status: 'pending' });
+  }
+
+  logger.info('Deposit payment started', {
+    event: 'payment_started',
+    bookingId: booking.id,
+    paymentId: payment.id,
+    provider: provider.name
+  });
+
+  return payment;
+};
+
+// A paid deposit confirms a booking that already has its photographer. One
+// still waiting for a photographer is confirmed when they are assigned.
+const settleDeposit = async (booking, paidAt, transaction) => {
+  if (booking.status === 'pending' && booking.photographerId) {
+    await transitionBooking(booking, 'confirmed', SYSTEM_ACTOR, {
+      changes: { depositPaidAt: paidAt },
+      note: 'Deposit paid',
+      transaction
+    });
+    return;
+  }
+
+  if (!['pending', 'confirmed'].includes(booking.status)) {
+    logger.warn('Deposit paid for a booking that is no longer open', {
+      event: 'payment_for_closed_booking',
+      bookingId: booking.id,
+      status: booking.status
+    });
+  }
+  await booking.update({ depositPaidAt: paidAt }, { transaction });
+};
+
+// Applies a provider webhook after checking its signature. Events for unknown
+// payments and repeats of ones already applied are ignored, so the provider
+// can retry safely. A success for a different amount than the payment asked
+// for leaves it unsettled. Returns whether anything changed.
+export const handlePaymentWebhook = async (rawBody, headers) => {
+  const provider = requireProvider();
+  const event = await provider.parseWebhook(rawBody, headers);
+  if (!event.type) {
+    return false;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const payment = await Payment.findOne({
+      where: { provider: provider.name, providerPaymentId: event.paymentId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!payment) {
+      logger.warn('Webhook for an unknown payment', {
+        event: 'payment_webhook_unknown',
+        provider: provider.name,
+        providerPaymentId: event.paymentId
+      });
+      return false;
+    }
+    if (payment.status === 'succeeded') {
+      return false;
+    }
+
+    if (event.type === 'payment.failed') {
+      await payment.update({ status: 'failed' }, { transaction });
+      return true;
+    }
+
+    if (event.amount !== minorUnits(payment.amount)) {
+      logger.warn('Payment amount does not match', {
+        event: 'payment_amount_mismatch',
+        provider: provider.name,
+        paymentId: payment.id,
+        expected: minorUnits(payment.amount),
+        received: event.amount
+      });
+      return false;
+    }
+
+    const paidAt = new Date();
+    await payment.update({ status: 'succeeded', paidAt }, { transaction });
+
+    const booking = await Booking.findByPk(payment.bookingId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (payment.purpose === 'deposit') {
+      await settleDeposit(booking, paidAt, transaction);
+    }
+
+    logger.info('Payment received', {
+      event: 'payment_succeeded',
+      bookingId: booking.id,
+      paymentId: payment.id,
+      amount: payment.amount
+    });
+    return true;
+  });
+};
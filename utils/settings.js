@@ -0,0 +1,11 @@
+import Setting from '../models/Setting.js';
+
+export const getSetting = async (key, defaultValue = null) => {
+  const setting = await Setting.findByPk(key);
+  return setting && setting.value !== null ? setting.value : defaultValue;
+};
+
+export const setSetting = async (key, value) => {
+  await Setting.upsert({ key, value });
+  return value;
+};
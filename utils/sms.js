@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+// Transports take a message ({ from, to, body }) and deliver it.
+// SMS_TRANSPORT picks one: console (default), file or gateway.
+const transports = {
+  // Logs the message instead of sending it
+  console: async (message) => {
+    logger.info('SMS (console transport)', { event: 'sms_sent', ...message });
+  },
+
+  // Writes each message to SMS_DIR as JSON so local tests can read it back
+  file: async (message) => {
+    const dir = path.resolve(process.env.SMS_DIR || 'logs/sms');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^0-9+]/g, '_');
+    const filename = path.join(dir, `${Date.now()}-${safeRecipient}.json`);
+    await fs.promises.writeFile(filename, JSON.stringify(message, null, 2));
+  },
+
+  // Posts the message as JSON to an HTTP SMS gateway
+  gateway: async (message) => {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS_GATEWAY_URL is not set');
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_GATEWAY_TOKEN && { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` })
+      },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+  }
+};
+
+export const registerSmsTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+export const sendSms = async ({ to, body }) => {
+  const transportName = process.env.SMS_TRANSPORT || 'console';
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown SMS transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.SMS_FROM || 'PhotoStudio',
+    to,
+    body
+  };
+
+  try {
+    await transport(message);
+  } catch (error) {
+    logger.error('Failed to send SMS', {
+      to,
+      transport: transportName,
+      error: error.message,
+      event: 'sms_failed'
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,143 @@
+// Date helpers for the studio's timezone. Bookings are stored as UTC instants;
+// working hours, blackout dates and plain local date-times sent by clients are
+// wall-clock times in STUDIO_TIMEZONE (an IANA name, UTC by default).
+
+const MINUTE_MS = 60 * 1000;
+
+export const isValidTimezone = (timezone) => {
+  if (!timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const studioTimezone = () => {
+  const timezone = process.env.STUDIO_TIMEZONE || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`STUDIO_TIMEZONE is not a valid IANA timezone: ${timezone}`);
+  }
+  return timezone;
+};
+
+const formatters = new Map();
+const partsFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock fields of an instant in the given timezone
+export const zonedParts = (date, timezone) => {
+  const parts = Object.fromEntries(partsFormatter(timezone)
+    .formatToParts(date)
+    .map(({ type, value }) => [type, value]));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+const offsetMs = (instant, timezone) => {
+  const parts = zonedParts(new Date(instant), timezone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (instant - (instant % 1000));
+};
+
+// The instant at which the wall clock in the timezone shows the given time.
+// Fields may overflow (minute: 570 is 09:30), as with Date.UTC.
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Second pass corrects the offset when the first guess lands across a DST change
+  const guess = wallClock - offsetMs(wallClock, timezone);
+  return new Date(wallClock - offsetMs(guess, timezone));
+};
+
+// YYYY-MM-DD -> { year, month, day }, or null if it is not a real date
+export const parseDateOnly = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? { year, month, day } : null;
+};
+
+// Midnight at the start of a YYYY-MM-DD date in the timezone
+export const startOfZonedDay = (value, timezone) => {
+  const date = parseDateOnly(value);
+  return date ? zonedTimeToUtc(date, timezone) : null;
+};
+
+// Accepts ISO-8601 date-times. With a Z or offset they are taken as-is; a
+// plain local date-time ("2024-06-03T15:00") is read in the timezone.
+export const parseDateTime = (value, timezone) => {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+
+  const [, dateOnly, hours, minutes, , zone] = match;
+  const date = parseDateOnly(dateOnly);
+  if (!date || Number(hours) > 23 || Number(minutes) > 59) {
+    return null;
+  }
+
+  if (zone) {
+    const instant = new Date(value);
+    return Number.isNaN(instant.getTime()) ? null : instant;
+  }
+  return zonedTimeToUtc({ ...date, hour: Number(hours), minute: Number(minutes) }, timezone);
+};
+
+// from/to query values: a date (YYYY-MM-DD, midnight in the studio timezone)
+// or an ISO-8601 date-time. With endOfDay a plain date includes that whole day.
+export const parseRangeBoundary = (value, { endOfDay = false } = {}) => {
+  const timezone = studioTimezone();
+  const date = parseDateOnly(value);
+  if (date) {
+    return zonedTimeToUtc({ ...date, day: date.day + (endOfDay ? 1 : 0) }, timezone);
+  }
+  return parseDateTime(value, timezone);
+};
+
+export const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE_MS);
+
+// ISO-8601 durations for services: "PT2H", "PT1H30M", "PT90M"
+export const parseIsoDuration = (value) => {
+  const match = /^PT(?:(\d+)H)?(?:(\d+)M)?$/i.exec(String(value || '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return null;
+  }
+  return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+};
+
+export const toIsoDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+};
@@ -1,9 +1,52 @@
-const tokenBlacklist = new Set();
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import RevokedToken from '../models/RevokedToken.js';
+import { hashToken } from './tokens.js';
+import logger from './logger.js';
 
-export const addToBlacklist = (token) => {
-    tokenBlacklist.add(token);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurge = 0;
+
+// Tokens issued before access tokens carried a jti fall back to a hash of the whole token
+const tokenKey = (token, decoded) => decoded?.jti || hashToken(token);
+
+// Revocations are only needed until the token would have expired on its own.
+// Purged lazily from the write path so it also happens on serverless deployments.
+const purgeExpired = async () => {
+    if (Date.now() - lastPurge < PURGE_INTERVAL_MS) {
+        return;
+    }
+    lastPurge = Date.now();
+
+    try {
+        const purged = await RevokedToken.destroy({
+            where: { expiresAt: { [Op.lt]: new Date() } }
+        });
+        if (purged) {
+            logger.info('Purged expired token revocations', { count: purged, event: 'revoked_tokens_purged' });
+        }
+    } catch (error) {
+        logger.error('Failed to purge expired token revocations', { error: error.message });
+    }
+};
+
+export const addToBlacklist = async (token, reason = 'logout') => {
+    const decoded = jwt.decode(token);
+    if (!decoded?.exp) {
+        return;
+    }
+
+    await RevokedToken.upsert({
+        jti: tokenKey(token, decoded),
+        userId: decoded.userId || null,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+    });
+
+    await purgeExpired();
 };
 
-export const isTokenBlacklisted = (token) => {
-    return tokenBlacklist.has(token);
-};
\ No newline at end of file
+export const isTokenBlacklisted = async (token, decoded = jwt.decode(token)) => {
+    const revoked = await RevokedToken.findByPk(tokenKey(token, decoded));
+    return Boolean(revoked);
+};
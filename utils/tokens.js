@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { UnauthenticatedError } from '../errors/index.js';
+import logger from './logger.js';
+
+const DEFAULT_ACCESS_TOKEN_LIFETIME = '15m';
+const DEFAULT_REFRESH_TOKEN_LIFETIME_DAYS = 30;
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const accessTokenLifetime = () => process.env.ACCESS_TOKEN_LIFETIME || DEFAULT_ACCESS_TOKEN_LIFETIME;
+
+const refreshTokenLifetimeDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_LIFETIME_DAYS, 10) || DEFAULT_REFRESH_TOKEN_LIFETIME_DAYS;
+
+const refreshTokenSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenLifetimeDays() * 24 * 60 * 60 * 1000);
+
+export const signAccessToken = (user, session) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role, sid: session.id },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenLifetime(), jwtid: crypto.randomUUID() }
+);
+
+const signRefreshToken = (session, tokenId) => jwt.sign(
+  { sid: session.id, type: 'refresh' },
+  refreshTokenSecret(),
+  { expiresIn: `${refreshTokenLifetimeDays()}d`, jwtid: tokenId }
+);
+
+// Shape returned by /login and /refresh
+const tokenResponse = (user, session, tokenId) => ({
+  token: signAccessToken(user, session),
+  refreshToken: signRefreshToken(session, tokenId),
+  expiresIn: accessTokenLifetime()
+});
+
+// Start a new session (token family) for a user who just authenticated
+export const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const tokenId = crypto.randomUUID();
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(tokenId),
+    expiresAt: refreshExpiry(),
+    userAgent: userAgent ? userAgent.slice(0, 512) : null,
+    ipAddress: ipAddress || null
+  });
+
+  return { session, ...tokenResponse(user, session, tokenId) };
+};
+
+export const revokeSession = async (sessionId, reason) => {
+  await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+};
+
+export const revokeUserSessions = async (userId, reason) => {
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+  );
+  return count;
+};
+
+// Returns the session behind an access token if it is still usable, or null
+export const findActiveSession = async (sessionId) => {
+  const session = await Session.findByPk(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await session.update({ lastSeenAt: new Date() });
+  }
+
+  return session;
+};
+
+// Exchange a refresh token for a new access/refresh pair. Presenting a refresh
+// token that has already been rotated away means it leaked, so the whole
+// session is revoked and every token descended from it stops working.
+export const rotateSession = async (refreshToken) => {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, refreshTokenSecret());
+  } catch (error) {
+    throw new UnauthenticatedError('Invalid refresh token');
+  }
+
+  if (payload.type !== 'refresh' || !payload.sid || !payload.jti) {
+    throw new UnauthenticatedError('Invalid refresh token');
+  }
+
+  const session = await Session.findByPk(payload.sid, {
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!session || !session.user || session.revokedAt || session.expiresAt < new Date()) {
+    throw new UnauthenticatedError('Session expired');
+  }
+
+  const presentedHash = hashToken(payload.jti);
+  const tokenId = crypto.randomUUID();
+
+  // Conditional on the presented hash so two concurrent refreshes with the
+  // same token cannot both succeed
+  const [rotated] = await Session.update(
+    {
+      refreshTokenHash: hashToken(tokenId),
+      expiresAt: refreshExpiry(),
+      lastSeenAt: new Date()
+    },
+    { where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null } }
+  );
+
+  if (!rotated) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    logger.error('Refresh token reuse detected', {
+      userId: session.userId,
+      sessionId: session.id,
+      event: 'refresh_token_reuse'
+    });
+    throw new UnauthenticatedError('Session expired');
+  }
+
+  return { session, user: session.user, ...tokenResponse(session.user, session, tokenId) };
+};
@@ -0,0 +1,95 @@
+import jwt from 'jsonwebtoken';
+import RecoveryCode from '../models/RecoveryCode.js';
+import { UnauthenticatedError } from '../errors/index.js';
+import { getSetting } from './settings.js';
+import { hashToken } from './tokens.js';
+import {
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  verifyTotp
+} from './totp.js';
+
+export const TWO_FACTOR_ROLES_SETTING = 'twoFactorRequiredRoles';
+
+const CHALLENGE_LIFETIME = '5m';
+
+export const isTwoFactorRequired = async (role) => {
+  const roles = await getSetting(TWO_FACTOR_ROLES_SETTING, []);
+  return roles.includes(role);
+};
+
+// Issued by /login instead of an access token when a second factor is needed.
+// purpose is 'login' (enter a code) or 'enroll' (role requires 2FA, not set up yet).
+export const signChallengeToken = (user, purpose) => jwt.sign(
+  { userId: user.id, username: user.username, role: user.role, purpose, type: 'mfa_challenge' },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_LIFETIME }
+);
+
+export const verifyChallengeToken = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthenticatedError('Login required');
+  }
+
+  if (payload.type !== 'mfa_challenge' || payload.purpose !== purpose) {
+    throw new UnauthenticatedError('Login required');
+  }
+
+  return payload;
+};
+
+// Replaces any existing recovery codes and returns the new ones in plain text.
+// They are only ever shown once.
+export const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await RecoveryCode.destroy({ where: { userId } });
+  await RecoveryCode.bulkCreate(codes.map(code => ({
+    userId,
+    codeHash: hashToken(normalizeRecoveryCode(code))
+  })));
+
+  return codes;
+};
+
+const useRecoveryCode = async (userId, recoveryCode) => {
+  const [used] = await RecoveryCode.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        userId,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null
+      }
+    }
+  );
+  return used > 0;
+};
+
+// Checks a TOTP code against the user's secret (pending or enabled), or
+// spends a recovery code. Returns true when the second factor is good.
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), String(code), user.twoFactorLastStep);
+    if (step === null) {
+      return false;
+    }
+    user.twoFactorLastStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode && user.twoFactorEnabled) {
+    return useRecoveryCode(user.id, recoveryCode);
+  }
+
+  return false;
+};